@@ -0,0 +1,180 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Utils = require('./utils');
+
+const internals = {};
+
+// Errors of undici, the fetch() of Node.js, mapped to the network error codes they stand for
+internals.undiciCodes = {
+    UND_ERR_SOCKET: 'ECONNRESET',
+    UND_ERR_CONNECT_TIMEOUT: 'ETIMEDOUT',
+    UND_ERR_HEADERS_TIMEOUT: 'ETIMEDOUT',
+    UND_ERR_BODY_TIMEOUT: 'ETIMEDOUT'
+};
+
+
+// An adapter normalizes the error or result of an attempt made with a specific client library into
+// { statusCode, headers, body, networkCode, retryable } or returns null if the value was not made by that library
+
+exports.fetch = {
+    name: 'fetch',
+    normalize: (value, isError) => {
+
+        if (isError) {
+
+            // fetch() rejects with a TypeError holding the network error as its cause
+
+            if (value instanceof TypeError &&
+                value.cause) {
+
+                return { networkCode: internals.causeCode(value.cause) };
+            }
+
+            return null;
+        }
+
+        if (Utils.isObject(value) &&
+            typeof value.status === 'number' &&
+            Utils.isObject(value.headers) &&
+            typeof value.headers.get === 'function') {
+
+            return { statusCode: value.status, headers: internals.fromHeaders(value.headers) };
+        }
+
+        return null;
+    }
+};
+
+
+exports.got = {
+    name: 'got',
+    normalize: (value, isError) => {
+
+        if (!Utils.isObject(value) ||
+            !('timings' in value)) {
+
+            return null;
+        }
+
+        const response = isError ? value.response : value;
+        if (!response) {
+            return { networkCode: value.code };
+        }
+
+        return { statusCode: response.statusCode, headers: response.headers, body: response.body };
+    }
+};
+
+
+exports.axios = {
+    name: 'axios',
+    normalize: (value, isError) => {
+
+        if (isError) {
+            if (!value.isAxiosError) {
+                return null;
+            }
+
+            if (!value.response) {
+                return { networkCode: value.code };
+            }
+
+            value = value.response;
+        }
+        else if (!Utils.isObject(value) ||
+            !('config' in value) ||
+            typeof value.status !== 'number') {
+
+            return null;
+        }
+
+        return { statusCode: value.status, headers: value.headers, body: value.data };
+    }
+};
+
+
+exports.wreck = {
+    name: 'wreck',
+    normalize: (value, isError) => {
+
+        if (isError) {
+            if (!value.isBoom) {
+                return null;
+            }
+
+            return {
+                statusCode: value.output.statusCode,
+                headers: Hoek.reach(value, 'data.headers') || Hoek.reach(value, 'data.res.headers'),
+                body: Hoek.reach(value, 'data.payload'),
+                networkCode: value.code // Wreck turns network errors into a 502 keeping their code
+            };
+        }
+
+        if (!Utils.isObject(value) ||
+            !Utils.isObject(value.res) ||
+            !('payload' in value)) {
+
+            return null;
+        }
+
+        return { statusCode: value.res.statusCode, headers: value.res.headers, body: value.payload };
+    }
+};
+
+
+// Also covers any http.IncomingMessage resolved by other libraries, e.g. Wreck.request()
+
+exports.request = {
+    name: 'request',
+    normalize: (value, isError) => {
+
+        if (isError) {
+            if (value.name === 'StatusCodeError') {
+                return { statusCode: value.statusCode, headers: Hoek.reach(value, 'response.headers'), body: value.error };
+            }
+
+            if (value.name === 'RequestError' &&
+                value.cause) {
+
+                return { networkCode: value.cause.code };
+            }
+
+            return null;
+        }
+
+        if (!Utils.isObject(value) ||
+            typeof value.statusCode !== 'number' ||
+            !Utils.isObject(value.headers)) {
+
+            return null;
+        }
+
+        return { statusCode: value.statusCode, headers: value.headers, body: value.body };
+    }
+};
+
+
+exports.builtIn = [exports.fetch, exports.got, exports.axios, exports.wreck, exports.request];
+
+
+internals.causeCode = function (cause) {
+
+    const error = Utils.causes(cause).find((item) => item.code);
+    if (error) {
+        return internals.undiciCodes[error.code] || error.code;
+    }
+};
+
+
+internals.fromHeaders = function (headers) {
+
+    const result = {};
+    headers.forEach((value, key) => {
+
+        result[key.toLowerCase()] = value;
+    });
+
+    return result;
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const Utils = require('./utils');
+
+const internals = {};
+
+
+// Scales the number of retries and the base delay with the success rate of recent retries and the latency of
+// recent attempts per key, in the spirit of the adaptive retry mode of the AWS SDKs
+
+exports = module.exports = internals.Adaptive = class {
+
+    constructor(options, clock) {
+
+        this._key = options.key || Utils.defaultKey;
+        this._windowInMilliseconds = options.windowInMilliseconds;
+        this._minSamples = options.minSamples;
+        this._minRetries = options.minRetries;
+        this._maxRetries = options.maxRetries;
+        this._minDelayInMilliseconds = options.minDelayInMilliseconds;
+        this._maxDelayInMilliseconds = options.maxDelayInMilliseconds;
+        this._clock = clock;
+
+        this._windows = new Map();
+    }
+
+    stats(defaults) {
+
+        const stats = {};
+
+        for (const key of Array.from(this._windows.keys())) {
+            const window = this._window(key);
+            if (!window) {
+                continue;
+            }
+
+            stats[key] = Object.assign({
+                samples: window.samples.length,
+                retries: window.retries,
+                retrySuccessRate: window.retries ? window.succeededRetries / window.retries : null,
+                averageLatencyInMilliseconds: window.totalDurationInMilliseconds / window.samples.length
+            }, this._tune(window) || defaults);
+        }
+
+        return stats;
+    }
+
+    record(request, sample) {
+
+        const key = this._key(request);
+
+        let window = this._window(key);
+        if (!window) {
+            window = { samples: [], retries: 0, succeededRetries: 0, totalDurationInMilliseconds: 0 };
+            this._windows.set(key, window);
+        }
+
+        window.samples.push(Object.assign({ at: this._clock.now() }, sample));
+        window.totalDurationInMilliseconds += sample.durationInMilliseconds;
+
+        if (sample.isRetry) {
+            ++window.retries;
+            window.succeededRetries += sample.succeeded ? 1 : 0;
+        }
+    }
+
+    // Returns the settings to run with, or null while too few retries were seen to tell
+
+    tune(request) {
+
+        const window = this._window(this._key(request));
+        return window ? this._tune(window) : null;
+    }
+
+    _tune(window) {
+
+        if (window.retries < this._minSamples) {
+            return null;
+        }
+
+        // Retries that mostly fail point to an outage, retries that mostly succeed to a flaky but healthy link
+
+        const successRate = window.succeededRetries / window.retries;
+        const numberOfRetries = this._minRetries + Math.round(successRate * (this._maxRetries - this._minRetries));
+
+        // Retrying sooner than the dependency answers only adds to its load
+
+        const delay = this._minDelayInMilliseconds + (1 - successRate) * (this._maxDelayInMilliseconds - this._minDelayInMilliseconds);
+        const latency = window.totalDurationInMilliseconds / window.samples.length;
+        const waitBetweenFirstRetryInMilliseconds = Math.round(Math.min(Math.max(delay, latency), this._maxDelayInMilliseconds));
+
+        return { numberOfRetries, waitBetweenFirstRetryInMilliseconds };
+    }
+
+    // Returns the window of the key without the samples that slid out of it, or null once it is empty
+
+    _window(key) {
+
+        const window = this._windows.get(key);
+        if (!window) {
+            return null;
+        }
+
+        const since = this._clock.now() - this._windowInMilliseconds;
+        while (window.samples.length &&
+            window.samples[0].at <= since) {
+
+            const sample = window.samples.shift();
+            window.totalDurationInMilliseconds -= sample.durationInMilliseconds;
+
+            if (sample.isRetry) {
+                --window.retries;
+                window.succeededRetries -= sample.succeeded ? 1 : 0;
+            }
+        }
+
+        if (!window.samples.length) {
+            this._windows.delete(key);
+            return null;
+        }
+
+        return window;
+    }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const internals = {};
+
+internals.defaults = {
+    factor: 2,
+    maxDelayInMilliseconds: Infinity
+};
+
+// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+
+exports.strategies = {
+    exponential: (attemptNumber, settings) => settings.delayInMilliseconds * Math.pow(settings.factor, attemptNumber - 1),
+    linear: (attemptNumber, settings) => settings.delayInMilliseconds * attemptNumber,
+    fixed: (attemptNumber, settings) => settings.delayInMilliseconds,
+    fullJitter: (attemptNumber, settings) => {
+
+        const ceiling = Math.min(exports.strategies.exponential(attemptNumber, settings), settings.maxDelayInMilliseconds);
+        return Math.random() * ceiling;
+    },
+    decorrelatedJitter: (attemptNumber, settings, previousWait) => {
+
+        const base = settings.delayInMilliseconds;
+        const ceiling = Math.max(previousWait || base, base) * 3;
+        return base + Math.random() * (ceiling - base);
+    }
+};
+
+
+exports.compile = function (backoff, delayInMilliseconds) {
+
+    if (typeof backoff === 'function') {
+        return (attemptNumber, err) => {
+
+            const wait = backoff(attemptNumber, err);
+            Hoek.assert(typeof wait === 'number' && wait >= 0, 'Backoff function must return a non-negative number');
+            return wait;
+        };
+    }
+
+    if (typeof backoff === 'string') {
+        backoff = { strategy: backoff };
+    }
+
+    const settings = Object.assign({ delayInMilliseconds }, internals.defaults, backoff);
+    const strategy = exports.strategies[settings.strategy];
+
+    return (attemptNumber, err, previousWait) => {
+
+        const wait = strategy(attemptNumber, settings, previousWait);
+        return Math.round(Math.min(wait, settings.maxDelayInMilliseconds));
+    };
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const Errors = require('./errors');
+
+const internals = {};
+
+
+exports = module.exports = internals.CircuitBreaker = class {
+
+    constructor(options, events, clock) {
+
+        this._failureThreshold = options.failureThreshold;
+        this._rollingWindowInMilliseconds = options.rollingWindowInMilliseconds;
+        this._cooldownInMilliseconds = options.cooldownInMilliseconds;
+        this._halfOpenProbes = options.halfOpenProbes;
+        this._events = events;
+        this._clock = clock;
+
+        this._close();
+    }
+
+    // Returns whether the attempt is a half-open probe
+
+    enter() {
+
+        if (this.state === 'open') {
+            const remaining = this._openedAt + this._cooldownInMilliseconds - this._clock.now();
+            if (remaining > 0) {
+                throw new Errors.CircuitOpenError(remaining);
+            }
+
+            this.state = 'halfOpen';
+            this._probes = 0;
+            this._events.emit('circuitHalfOpen');
+        }
+
+        if (this.state === 'halfOpen') {
+            if (this._probes >= this._halfOpenProbes) {
+                throw new Errors.CircuitOpenError(0);
+            }
+
+            ++this._probes;
+            return true;
+        }
+
+        return false;
+    }
+
+    success() {
+
+        if (this.state === 'halfOpen') {
+            this._close();
+            this._events.emit('circuitClose');
+        }
+    }
+
+    failure() {
+
+        if (this.state === 'halfOpen') {
+            this._open();
+            return;
+        }
+
+        if (this.state === 'closed') {
+            const now = this._clock.now();
+            this._failures = this._failures.filter((timestamp) => timestamp > now - this._rollingWindowInMilliseconds);
+            this._failures.push(now);
+
+            if (this._failures.length >= this._failureThreshold) {
+                this._open();
+            }
+        }
+    }
+
+    // Called when a probe ended without telling anything about the health of the dependency (e.g. aborted)
+
+    release(probe) {
+
+        if (probe) {
+            --this._probes;         // The count restarts with every half-open state
+        }
+    }
+
+    _open() {
+
+        this.state = 'open';
+        this._openedAt = this._clock.now();
+        this._failures = [];
+        this._events.emit('circuitOpen', { cooldownInMilliseconds: this._cooldownInMilliseconds });
+    }
+
+    _close() {
+
+        this.state = 'closed';
+        this._failures = [];
+        this._probes = 0;
+    }
+};
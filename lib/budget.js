@@ -0,0 +1,66 @@
+'use strict';
+
+const Joi = require('@hapi/joi');
+
+const Clock = require('./clock');
+
+const internals = {};
+
+internals.schema = Joi.object({
+    retryRatio: Joi.number().min(0).max(1).default(0.2),
+    minRetriesPerSecond: Joi.number().min(0).default(10),
+    maxTokens: Joi.number().integer().min(1).default(10),
+    clock: Joi.object().default(Clock.real)
+}).default();
+
+
+// Token bucket where every call deposits retryRatio tokens, the bucket refills with
+// minRetriesPerSecond tokens every second and every retry withdraws one token
+
+exports = module.exports = internals.RetryBudget = class {
+
+    constructor(options) {
+
+        options = Joi.attempt(options, internals.schema);
+
+        this._retryRatio = options.retryRatio;
+        this._minRetriesPerSecond = options.minRetriesPerSecond;
+        this._maxTokens = options.maxTokens;
+        this._tokens = options.maxTokens;
+        this._clock = options.clock;
+        this._refilledAt = this._clock.now();
+    }
+
+    get balance() {
+
+        this._refill();
+        return this._tokens;
+    }
+
+    deposit() {
+
+        this._refill();
+        this._tokens = Math.min(this._tokens + this._retryRatio, this._maxTokens);
+    }
+
+    withdraw() {
+
+        this._refill();
+
+        if (this._tokens < 1) {
+            return false;
+        }
+
+        --this._tokens;
+        return true;
+    }
+
+    _refill() {
+
+        const now = this._clock.now();
+        const refill = (now - this._refilledAt) / 1000 * this._minRetriesPerSecond;
+
+        this._tokens = Math.min(this._tokens + refill, this._maxTokens);
+        this._refilledAt = now;
+    }
+};
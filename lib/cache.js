@@ -0,0 +1,109 @@
+'use strict';
+
+const Utils = require('./utils');
+
+const internals = {
+    stale: new WeakSet()
+};
+
+
+// Keeps the last good result per key, to be served when a later run gives up
+
+exports = module.exports = internals.Cache = class {
+
+    constructor(options, clock) {
+
+        this._store = options.store || new internals.LruStore(options.maxEntries);
+        this._staleIfErrorInMilliseconds = options.staleIfErrorInMilliseconds;
+        this._clock = clock;
+    }
+
+    static isStale(value) {
+
+        return Utils.isObject(value) && internals.stale.has(value);
+    }
+
+    async set(key, value, info) {
+
+        if (info.statusCode >= 400) {
+            return;                                 // Not a good response
+        }
+
+        const entry = {
+            value,
+            storedAt: this._clock.now(),
+            staleIfErrorInMilliseconds: internals.parseStaleIfError(info.headers)
+        };
+
+        await this._store.set(key, entry);
+    }
+
+    // Returns the cached value if it is not older than both the stale-if-error of the response and the max-stale of the caller
+
+    async getStale(key, maxStaleInMilliseconds) {
+
+        const entry = await this._store.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        const ageInMilliseconds = this._clock.now() - entry.storedAt;
+        const staleIfError = entry.staleIfErrorInMilliseconds !== null ? entry.staleIfErrorInMilliseconds : this._staleIfErrorInMilliseconds;
+
+        if (ageInMilliseconds > staleIfError ||
+            ageInMilliseconds > maxStaleInMilliseconds) {
+
+            return null;
+        }
+
+        if (Utils.isObject(entry.value)) {
+            internals.stale.add(entry.value);
+        }
+
+        return { value: entry.value, ageInMilliseconds };
+    }
+};
+
+
+// Evicts the least recently used entry once maxEntries are kept. Other stores implement get(key) and
+// set(key, entry), optionally returning promises.
+
+exports.LruStore = internals.LruStore = class {
+
+    constructor(maxEntries = 1000) {
+
+        this._maxEntries = maxEntries;
+        this._entries = new Map();
+    }
+
+    get(key) {
+
+        const entry = this._entries.get(key);
+        if (entry) {
+            this._entries.delete(key);          // Moves the key to the end of the insertion order
+            this._entries.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    set(key, entry) {
+
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+
+        if (this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+};
+
+
+// Cache-Control: stale-if-error=<seconds> (https://tools.ietf.org/html/rfc5861#section-4)
+
+internals.parseStaleIfError = function (headers) {
+
+    const cacheControl = headers && headers['cache-control'];
+    const match = /(?:^|,)\s*stale-if-error\s*=\s*"?(\d+)"?/i.exec(cacheControl);
+    return match ? parseInt(match[1], 10) * 1000 : null;
+};
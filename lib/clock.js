@@ -0,0 +1,24 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+
+// The source of time and timers, replaced by a FakeClock of request-retry/testing in tests
+
+exports.real = {
+    now: () => Date.now(),
+    setTimeout: (callback, timeout) => setTimeout(callback, timeout),
+    clearTimeout: (timer) => clearTimeout(timer),
+    bench: () => new Hoek.Bench()               // Keeps sub-millisecond precision, unlike now()
+};
+
+
+exports.timer = function (clock) {
+
+    if (clock.bench) {
+        return clock.bench();
+    }
+
+    const startedAt = clock.now();
+    return { elapsed: () => clock.now() - startedAt };
+};
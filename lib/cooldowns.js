@@ -0,0 +1,112 @@
+'use strict';
+
+const Errors = require('./errors');
+
+const internals = {};
+
+
+// Pauses all calls to a host once one of them is rate limited
+
+exports = module.exports = internals.Cooldowns = class {
+
+    constructor(events, clock) {
+
+        this._events = events;
+        this._clock = clock;
+        this._cooldowns = new Map();
+    }
+
+    start(key, cooldownInMilliseconds) {
+
+        const until = this._clock.now() + cooldownInMilliseconds;
+
+        let cooldown = this._cooldowns.get(key);
+        if (cooldown) {
+            if (until <= cooldown.until) {
+                return;
+            }
+
+            this._clock.clearTimeout(cooldown.timer);           // Extended by a later reset time
+        }
+        else {
+            cooldown = { waiters: new Set() };
+            this._cooldowns.set(key, cooldown);
+            this._events.emit('cooldownStart', { key, cooldownInMilliseconds });
+        }
+
+        cooldown.until = until;
+        cooldown.timer = this._clock.setTimeout(() => this._end(key), cooldownInMilliseconds);
+    }
+
+    // Resolves with false instead once the cooldown would outlast timeoutInMilliseconds
+
+    wait(key, signal, timeoutInMilliseconds = Infinity) {
+
+        const cooldown = this._cooldowns.get(key);
+        if (!cooldown) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve, reject) => {
+
+            if (signal &&
+                signal.aborted) {
+
+                return reject(new Errors.AbortError(signal.reason));
+            }
+
+            if (cooldown.until - this._clock.now() >= timeoutInMilliseconds) {
+                return resolve(false);
+            }
+
+            let timer = null;
+
+            const cleanup = () => {
+
+                cooldown.waiters.delete(waiter);
+                this._clock.clearTimeout(timer);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            const onAbort = () => {
+
+                cleanup();
+                reject(new Errors.AbortError(signal.reason));
+            };
+
+            const waiter = () => {
+
+                cleanup();
+                resolve(true);
+            };
+
+            if (timeoutInMilliseconds !== Infinity) {
+                timer = this._clock.setTimeout(() => {          // The cooldown was extended beyond the timeout
+
+                    cleanup();
+                    resolve(false);
+                }, timeoutInMilliseconds);
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            cooldown.waiters.add(waiter);
+        });
+    }
+
+    _end(key) {
+
+        const cooldown = this._cooldowns.get(key);
+        this._cooldowns.delete(key);
+        this._events.emit('cooldownEnd', { key });
+
+        for (const waiter of cooldown.waiters) {
+            waiter();
+        }
+    }
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+const Events = require('events');
+
+const Hoek = require('@hapi/hoek');
+const Joi = require('@hapi/joi');
+
+const Uuid = require('./uuid');
+
+const internals = {};
+
+internals.schemas = {
+    request: Joi.object({
+        method: Joi.string().uppercase().default('GET'),
+        url: Joi.string().required(),
+        headers: Joi.object().pattern(/.*/, Joi.string()).default({}),
+        body: Joi.string()
+    }).required(),
+    enqueue: Joi.object({
+        id: Joi.string(),
+        idempotencyKey: Joi.alternatives().try(Joi.boolean(), Joi.string()),
+        delayInMilliseconds: Joi.number().integer().min(0).default(0)
+    }).default()
+};
+
+
+// Retries requests described as data from a store, so that retries can span restarts of the process
+
+exports = module.exports = internals.DurableQueue = class {
+
+    constructor(retry, options) {
+
+        this.events = new Events.EventEmitter();
+        this._retry = retry;
+        this._clock = retry._clock;
+        this._store = options.store;
+        this._send = options.send || internals.send(retry._fetch);
+        this._pollIntervalInMilliseconds = options.pollIntervalInMilliseconds;
+        this._batchSize = options.batchSize;
+        this._leaseInMilliseconds = options.leaseInMilliseconds;
+
+        this._running = false;
+        this._timer = null;
+        this._polling = null;
+    }
+
+    async enqueue(request, options) {
+
+        request = Joi.attempt(request, internals.schemas.request);
+        options = Joi.attempt(options, internals.schemas.enqueue);
+
+        const now = this._clock.now();
+        const job = {
+            id: options.id || Uuid.random(),
+            request,
+            idempotencyKey: options.idempotencyKey === true ? Uuid.random() : options.idempotencyKey || undefined,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now + options.delayInMilliseconds,
+            lastWaitInMilliseconds: null,
+            lastOutcome: null,
+            metadata: {}
+        };
+
+        await this._store.push(job);
+        return job;
+    }
+
+    deadLetters() {
+
+        return this._store.deadLetters();
+    }
+
+    start() {
+
+        Hoek.assert(!this._running, 'Durable queue is already started');
+
+        this._running = true;
+        this._schedule(0);
+    }
+
+    async stop() {
+
+        this._running = false;
+        this._clock.clearTimeout(this._timer);
+        await this._polling;
+    }
+
+    // Attempts the jobs that are due, returns their number
+
+    async processDue() {
+
+        const now = this._clock.now();
+        const jobs = await this._store.claim(now, now + this._leaseInMilliseconds, this._batchSize);
+        await Promise.all(jobs.map((job) => this._process(job)));
+        return jobs.length;
+    }
+
+    _schedule(timeout) {
+
+        this._timer = this._clock.setTimeout(() => {
+
+            this._polling = this._poll();
+        }, timeout);
+    }
+
+    async _poll() {
+
+        let count = 0;
+        try {
+            count = await this.processDue();
+        }
+        catch (err) {
+            this.events.emit('pollError', err);
+        }
+
+        if (this._running) {
+            this._schedule(count === this._batchSize ? 0 : this._pollIntervalInMilliseconds);     // More jobs may be due
+        }
+    }
+
+    async _process(job) {
+
+        const retry = this._retry;
+        const elapsed = this._clock.now() - job.createdAt;
+
+        const attempt = {
+            attemptNumber: job.attempts + 1,
+            retriesLeft: retry._numberOfRetries - job.attempts
+        };
+
+        const context = Object.assign({}, attempt, {
+            elapsedInMilliseconds: elapsed,
+            idempotencyKey: job.idempotencyKey,
+            metadata: job.metadata,                     // Persisted with the job
+            jobId: job.id
+        });
+
+        const idempotent = retry._isIdempotent(job.request, job.idempotencyKey);
+        const timeout = retry._getAttemptTimeoutInMilliseconds(elapsed);
+        const { outcome, retryable, classification } = await retry._try((ctx) => this._send(job.request, ctx), context, attempt, idempotent, timeout);
+
+        const info = classification === 'notAnError' ? {} : retry._normalize(outcome);
+        job.attempts = attempt.attemptNumber;
+        job.lastOutcome = internals.describe(outcome, info, classification);
+
+        if (!retryable) {
+            if (outcome.isError ||
+                info.statusCode >= 400) {
+
+                return this._bury(job, 'nonRetryable');
+            }
+
+            await this._store.remove(job.id);
+            this.events.emit('success', { job, result: outcome.value });
+            return;
+        }
+
+        if (attempt.retriesLeft === 0) {
+            return this._bury(job, 'exhausted');
+        }
+
+        const retryAfter = retry._getRetryAfterInMilliseconds(info);
+        const wait = retryAfter !== null ? retryAfter : retry._backoff(attempt.attemptNumber, outcome.value, job.lastWaitInMilliseconds === null ? undefined : job.lastWaitInMilliseconds);
+
+        if (retry._totalTimeoutInMilliseconds !== undefined &&
+            this._clock.now() - job.createdAt + wait >= retry._totalTimeoutInMilliseconds) {
+
+            return this._bury(job, 'deadline');
+        }
+
+        job.nextAttemptAt = this._clock.now() + wait;
+        job.lastWaitInMilliseconds = wait;
+
+        await this._store.push(job);
+        this.events.emit('retryScheduled', { job, waitInMilliseconds: wait });
+    }
+
+    async _bury(job, reason) {
+
+        job.reason = reason;
+        job.diedAt = this._clock.now();
+
+        await this._store.bury(job);
+        this.events.emit('dead', { job, reason });
+    }
+};
+
+
+internals.send = function (fetch) {
+
+    return (request, context) => {
+
+        const implementation = fetch || global.fetch;
+        Hoek.assert(implementation, 'fetch is not available, pass an implementation as the fetch option or a send function');
+
+        const headers = Object.assign({}, request.headers);
+        if (context.idempotencyKey) {
+            headers['Idempotency-Key'] = context.idempotencyKey;
+        }
+
+        return implementation(request.url, { method: request.method, headers, body: request.body });
+    };
+};
+
+
+// Only what can be stored, the error or result itself may not serialize
+
+internals.describe = function (outcome, info, classification) {
+
+    return {
+        classification,
+        statusCode: info.statusCode,
+        networkCode: info.networkCode,
+        message: outcome.value instanceof Error ? outcome.value.message : undefined
+    };
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const internals = {};
+
+
+// Spreads the attempts of a run over several endpoints and skips the endpoints that keep failing
+
+exports = module.exports = internals.Endpoints = class {
+
+    constructor(options, events, clock) {
+
+        this._failureThreshold = options.failureThreshold;
+        this._cooldownInMilliseconds = options.cooldownInMilliseconds;
+        this._events = events;
+        this._clock = clock;
+        this._health = new Map();
+        this._rotations = new Map();            // Next round-robin index per endpoint list
+    }
+
+    get stats() {
+
+        const stats = {};
+
+        for (const endpoint of this._health.keys()) {
+            const health = this._get(endpoint);
+            stats[endpoint] = { healthy: health.unhealthyUntil === null, failures: health.failures, unhealthyUntil: health.unhealthyUntil };
+        }
+
+        return stats;
+    }
+
+    // Returns the endpoint of the first attempt, or the one after previous for a retry
+
+    select(list, strategy, previous) {
+
+        const healthy = list.filter((endpoint) => this._get(endpoint).unhealthyUntil === null);
+        const candidates = healthy.length ? healthy : list;        // Trying an unhealthy endpoint beats not trying at all
+
+        if (strategy === 'random') {
+            const others = candidates.length > 1 ? candidates.filter((endpoint) => endpoint !== previous) : candidates;
+            return others[Math.floor(Math.random() * others.length)];
+        }
+
+        let start = list.indexOf(previous) + 1;
+        if (previous === undefined &&
+            strategy === 'roundRobin') {
+
+            const key = JSON.stringify(list);
+            start = this._rotations.get(key) || 0;
+            this._rotations.set(key, (start + 1) % list.length);
+        }
+
+        const ordered = list.slice(start).concat(list.slice(0, start));
+        return ordered.find((endpoint) => candidates.includes(endpoint));
+    }
+
+    success(endpoint) {
+
+        const health = this._get(endpoint);
+        const wasUnhealthy = health.unhealthyUntil !== null;
+
+        health.failures = 0;
+        health.unhealthyUntil = null;
+
+        if (wasUnhealthy) {
+            this._events.emit('endpointHealthy', { endpoint });
+        }
+    }
+
+    failure(endpoint) {
+
+        const health = this._get(endpoint);
+        ++health.failures;
+        this._events.emit('endpointFailure', { endpoint, failures: health.failures });
+
+        if (health.failures < this._failureThreshold) {
+            return;
+        }
+
+        const wasHealthy = health.unhealthyUntil === null;
+        health.unhealthyUntil = this._clock.now() + this._cooldownInMilliseconds;          // Extended when tried again while unhealthy
+
+        if (wasHealthy) {
+            this._events.emit('endpointUnhealthy', { endpoint, failures: health.failures, cooldownInMilliseconds: this._cooldownInMilliseconds });
+        }
+    }
+
+    // Ends the cooldown of an unhealthy endpoint once it is over, like the circuit breaker turning half-open
+
+    _get(endpoint) {
+
+        let health = this._health.get(endpoint);
+        if (!health) {
+            health = { failures: 0, unhealthyUntil: null };
+            this._health.set(endpoint, health);
+        }
+
+        if (health.unhealthyUntil !== null &&
+            health.unhealthyUntil <= this._clock.now()) {
+
+            health.failures = 0;
+            health.unhealthyUntil = null;
+            this._events.emit('endpointHealthy', { endpoint });
+        }
+
+        return health;
+    }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const internals = {
+    retryError: Symbol('retryError')
+};
+
+
+exports.AbortError = class extends Error {
+
+    constructor(reason) {
+
+        super('The operation was aborted');
+
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+        this.reason = reason;
+    }
+};
+
+
+exports.AttemptTimeoutError = class extends Error {
+
+    constructor(timeoutInMilliseconds) {
+
+        super(`Attempt timed out after ${timeoutInMilliseconds} milliseconds`);
+
+        this.name = 'AttemptTimeoutError';
+        this.code = 'EATTEMPTTIMEOUT';
+        this.timeoutInMilliseconds = timeoutInMilliseconds;
+    }
+};
+
+
+exports.CircuitOpenError = class extends Error {
+
+    constructor(retryAfterInMilliseconds) {
+
+        super('Circuit is open');
+
+        this.name = 'CircuitOpenError';
+        this.code = 'ECIRCUITOPEN';
+        this.retryAfterInMilliseconds = retryAfterInMilliseconds;
+    }
+};
+
+
+exports.DeadlineExceededError = class extends Error {
+
+    constructor(lastError, details) {
+
+        const cause = lastError ? `: ${lastError.message}` : '';         // No attempt failed yet when a rate limit pause outlasts the total timeout
+        super(`Total timeout of ${details.totalTimeoutInMilliseconds} milliseconds exceeded${cause}`);
+
+        this.name = 'DeadlineExceededError';
+        this.code = 'EDEADLINEEXCEEDED';
+        this.lastError = lastError;
+        this.totalTimeoutInMilliseconds = details.totalTimeoutInMilliseconds;
+        this.elapsedInMilliseconds = details.elapsedInMilliseconds;
+        this.attemptNumber = details.attemptNumber;
+    }
+};
+
+
+
+exports.QueueFullError = class extends Error {
+
+    constructor(maxQueueSize) {
+
+        super(`Queue of ${maxQueueSize} waiting attempts is full`);
+
+        this.name = 'QueueFullError';
+        this.code = 'EQUEUEFULL';
+        this.maxQueueSize = maxQueueSize;
+    }
+};
+
+
+exports.QueueTimeoutError = class extends Error {
+
+    constructor(timeoutInMilliseconds) {
+
+        super(`Attempt waited in queue for more than ${timeoutInMilliseconds} milliseconds`);
+
+        this.name = 'QueueTimeoutError';
+        this.code = 'EQUEUETIMEOUT';
+        this.timeoutInMilliseconds = timeoutInMilliseconds;
+    }
+};
+
+
+
+// Inherits from the last error so that instanceof checks and properties such as output.statusCode keep working
+
+exports.RetryError = class {
+
+    constructor(lastError, details) {
+
+        const error = Object.create(lastError);
+
+        error[internals.retryError] = true;
+        error.lastError = lastError;
+        error.reason = details.reason;
+        error.attempts = details.attempts;
+        error.totalElapsedInMilliseconds = details.totalElapsedInMilliseconds;
+
+        return error;
+    }
+
+    static [Symbol.hasInstance](instance) {
+
+        return Boolean(instance) && instance[internals.retryError] === true;
+    }
+};
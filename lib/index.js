@@ -1,9 +1,27 @@
 'use strict';
 
 const Events = require('events');
+const Stream = require('stream');
 const Hoek = require('@hapi/hoek');
 const Joi = require('@hapi/joi');
-const Retry = require('p-retry');
+
+const Adaptive = require('./adaptive');
+const Adapters = require('./adapters');
+const Backoff = require('./backoff');
+const CircuitBreaker = require('./breaker');
+const Cache = require('./cache');
+const Clock = require('./clock');
+const Cooldowns = require('./cooldowns');
+const DurableQueue = require('./durable');
+const Endpoints = require('./endpoints');
+const Errors = require('./errors');
+const Limiter = require('./limiter');
+const RetryBudget = require('./budget');
+const Rules = require('./rules');
+const Stores = require('./stores');
+const Telemetry = require('./telemetry');
+const Utils = require('./utils');
+const Uuid = require('./uuid');
 
 const internals = {};
 
@@ -18,44 +36,496 @@ internals.networkErrorCodes = [
     'EAI_AGAIN' // A temporary failure in name resolution occurred
 ];
 
-// https://en.wikipedia.org/wiki/List_of_HTTP_status_codes#5xx_Server_errors
-internals.httpErrorCodes = [500, 501, 502, 503, 504, 505, 506, 507, 508, 510, 511];
+// Too Many Requests and https://en.wikipedia.org/wiki/List_of_HTTP_status_codes#5xx_Server_errors
+internals.httpErrorCodes = [429, 500, 501, 502, 503, 504, 505, 506, 507, 508, 510, 511];
+
+// https://tools.ietf.org/html/rfc7231#section-4.2.2
+internals.idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// These properties support client libraries such as Axios, Request and Wreck
+internals.statusCodeProperties = ['code', 'statusCode', 'output.statusCode', 'response.status'];
+internals.headersProperties = ['headers', 'response.headers', 'data.res.headers'];
+internals.bodyProperties = ['body', 'response.body', 'response.data', 'data.payload'];
+
+internals.staleReasons = ['exhausted', 'deadline', 'budget', 'circuitOpen'];  // Failures of the dependency, unlike e.g. 'nonRetryable'
+
+internals.queueGiveUpReasons = {
+    ABORT_ERR: 'aborted',
+    EQUEUEFULL: 'queueFull',
+    EQUEUETIMEOUT: 'queueTimeout'
+};
+
+// Settings that can be overridden per call of run()
+
+internals.settings = {
+    numberOfRetries: Joi.number().integer().min(0).default(2),
+    waitBetweenFirstRetryInMilliseconds: Joi.number().integer().min(0).default(1000),
+    retryNetworkErrorCodes: Joi.array().items(Joi.string()).default(internals.networkErrorCodes),
+    retryHttpErrorCodes: Joi.array().items(Joi.number().integer()).default(internals.httpErrorCodes),
+    idempotentMethods: Joi.array().items(Joi.string().uppercase()).default(internals.idempotentMethods),
+    backoff: Joi.alternatives().try(
+        Joi.func(),
+        Joi.string().valid(Object.keys(Backoff.strategies)),
+        Joi.object({
+            strategy: Joi.string().valid(Object.keys(Backoff.strategies)).required(),
+            delayInMilliseconds: Joi.number().integer().min(0),
+            factor: Joi.number().min(1).when('strategy', { is: Joi.valid('exponential', 'fullJitter'), otherwise: Joi.forbidden() }),
+            maxDelayInMilliseconds: Joi.number().integer().min(0)
+        })
+    ).default('exponential'),
+    attemptTimeoutInMilliseconds: Joi.number().integer().min(1),
+    totalTimeoutInMilliseconds: Joi.number().integer().min(1),
+    honorRetryAfter: Joi.boolean().default(true),
+    maxRetryAfterInMilliseconds: Joi.number().integer().min(0).default(60000),
+    retryBudget: Joi.object().type(RetryBudget, 'RetryBudget'),
+    shouldRetry: Joi.func(),
+    retryOnResult: Joi.func(),
+    retryRules: Rules.schema,
+    aggregateErrors: Joi.boolean().default(false)
+};
 
 internals.schemas = {
-    constructor: Joi.object({
-        numberOfRetries: Joi.number().integer().min(0).default(2),
-        waitBetweenFirstRetryInMilliseconds: Joi.number().integer().min(0).default(1000),
-        retryNetworkErrorCodes: Joi.array().items(Joi.string()).default(internals.networkErrorCodes),
-        retryHttpErrorCodes: Joi.array().items(Joi.number().integer()).default(internals.httpErrorCodes)
-    }).default()
+    constructor: Joi.object(Object.assign({}, internals.settings, {
+        policy: Joi.string(),
+        circuitBreaker: Joi.object({
+            failureThreshold: Joi.number().integer().min(1).default(5),
+            rollingWindowInMilliseconds: Joi.number().integer().min(1).default(10000),
+            cooldownInMilliseconds: Joi.number().integer().min(0).default(30000),
+            halfOpenProbes: Joi.number().integer().min(1).default(1)
+        }),
+        concurrency: Joi.object({
+            maxInFlight: Joi.number().integer().min(1).required(),
+            key: Joi.func(),
+            maxQueueSize: Joi.number().integer().min(0),
+            queueTimeoutInMilliseconds: Joi.number().integer().min(1)
+        }),
+        adaptive: Joi.object({
+            key: Joi.func(),
+            windowInMilliseconds: Joi.number().integer().min(1).default(60000),
+            minSamples: Joi.number().integer().min(1).default(10),
+            minRetries: Joi.number().integer().min(0).default(0),
+            maxRetries: Joi.number().integer().min(Joi.ref('minRetries')).default(5),
+            minDelayInMilliseconds: Joi.number().integer().min(0).default(100),
+            maxDelayInMilliseconds: Joi.number().integer().min(Joi.ref('minDelayInMilliseconds')).default(10000)
+        }),
+        endpointHealth: Joi.object({
+            failureThreshold: Joi.number().integer().min(1).default(3),
+            cooldownInMilliseconds: Joi.number().integer().min(0).default(30000)
+        }).default(),
+        adapters: Joi.array().items(Joi.object({
+            name: Joi.string().required(),
+            normalize: Joi.func().required()
+        })).default([]),
+        cache: Joi.object({
+            store: Joi.object(),
+            maxEntries: Joi.number().integer().min(1).default(1000),
+            staleIfErrorInMilliseconds: Joi.number().integer().min(0).default(86400000)
+        }),
+        fetch: Joi.func(),
+        clock: Joi.object().default(Clock.real),
+        telemetry: Joi.alternatives().try(
+            Joi.boolean(),
+            Joi.object({
+                tracerProvider: Joi.object(),
+                meterProvider: Joi.object()
+            })
+        ).default(true)
+    })).default(),
+    run: Joi.object(Object.assign({}, internals.settings, {
+        signal: Joi.object(),
+        request: Joi.object({
+            method: Joi.string().uppercase()
+        }).unknown(),
+        idempotencyKey: Joi.alternatives().try(Joi.boolean(), Joi.string()),
+        hedge: Joi.object({
+            afterInMilliseconds: Joi.number().integer().min(0).required(),
+            maxHedged: Joi.number().integer().min(2).default(2)
+        }),
+        endpoints: Joi.array().items(Joi.string()).min(1).single(),
+        endpointStrategy: Joi.string().valid('failover', 'roundRobin', 'random').default('failover'),
+        cacheKey: Joi.string(),
+        maxStaleInMilliseconds: Joi.number().integer().min(0)
+    })).default(),
+    durable: Joi.object(Object.assign({}, internals.settings, {
+        store: Joi.object().default(() => new Stores.MemoryStore(), 'a MemoryStore'),
+        send: Joi.func(),
+        pollIntervalInMilliseconds: Joi.number().integer().min(1).default(1000),
+        batchSize: Joi.number().integer().min(1).default(10),
+        leaseInMilliseconds: Joi.number().integer().min(1).default(60000)
+    })).default(),
+    settings: Joi.object(internals.settings),
+    policyName: Joi.string().required()
 };
 
+internals.schemas.policy = internals.schemas.constructor.keys({
+    policy: Joi.forbidden()
+}).required();
+
+internals.policies = new Map();
+
 exports = module.exports = internals.RequestRetry = class {
 
     constructor(options) {
 
-        options = Joi.attempt(options, internals.schemas.constructor);
+        options = Joi.attempt(internals.applyPolicy(options), internals.schemas.constructor);
+
+        this._configure(internals.pick(options, Object.keys(internals.settings)));
 
-        this._numberOfRetries = options.numberOfRetries;
-        this._waitBetweenFirstRetryInMilliseconds = options.waitBetweenFirstRetryInMilliseconds;
-        this._retryNetworkErrorCodes = options.retryNetworkErrorCodes;
-        this._retryHttpErrorCodes = options.retryHttpErrorCodes;
         this.events = new Events.EventEmitter();
+        this._clock = options.clock;
+        this._circuitBreaker = options.circuitBreaker ? new CircuitBreaker(options.circuitBreaker, this.events, this._clock) : null;
+        this._limiter = options.concurrency ? new Limiter(options.concurrency, this._clock) : null;
+        this._cooldowns = new Cooldowns(this.events, this._clock);
+        this._adaptive = options.adaptive ? new Adaptive(options.adaptive, this._clock) : null;
+        this._endpoints = new Endpoints(options.endpointHealth, this.events, this._clock);
+        this._cache = options.cache ? new Cache(options.cache, this._clock) : null;
+        this._adapters = options.adapters.concat(Adapters.builtIn);
+        this._fetch = options.fetch;
+
+        const telemetry = options.telemetry === true ? {} : options.telemetry;
+        this._telemetry = telemetry && Telemetry.api ? new Telemetry(telemetry, this.events, (outcome) => this._normalize(outcome)) : null;
     }
 
-    _isNetworkOrHttpError(err) {
+    static definePolicy(name, options) {
+
+        Joi.assert(name, internals.schemas.policyName);
+
+        const { error, value } = Joi.validate(options, internals.schemas.policy, { noDefaults: true });
+        if (error) {
+            throw error;
+        }
+
+        internals.policies.set(name, value);
+    }
+
+    _configure(settings) {
+
+        this._settings = settings;
+        this._numberOfRetries = settings.numberOfRetries;
+        this._backoff = Backoff.compile(settings.backoff, settings.waitBetweenFirstRetryInMilliseconds);
+        this._retryNetworkErrorCodes = settings.retryNetworkErrorCodes;
+        this._retryHttpErrorCodes = settings.retryHttpErrorCodes;
+        this._idempotentMethods = settings.idempotentMethods;
+        this._attemptTimeoutInMilliseconds = settings.attemptTimeoutInMilliseconds;
+        this._totalTimeoutInMilliseconds = settings.totalTimeoutInMilliseconds;
+        this._honorRetryAfter = settings.honorRetryAfter;
+        this._maxRetryAfterInMilliseconds = settings.maxRetryAfterInMilliseconds;
+        this._retryBudget = settings.retryBudget;
+        this._shouldRetry = settings.shouldRetry;
+        this._retryOnResult = settings.retryOnResult;
+        this._retryRules = settings.retryRules ? Rules.compile(settings.retryRules) : null;
+        this._aggregateErrors = settings.aggregateErrors;
+    }
+
+    // Returns a view of the instance with the overridden settings, sharing its state such as the circuit breaker
+
+    _override(options) {
+
+        const overrides = internals.pick(options, Object.keys(internals.settings));
+        if (!Object.keys(overrides).length) {
+            return this;
+        }
+
+        const settings = Joi.attempt(Object.assign({}, this._settings, overrides), internals.schemas.settings);
+
+        const retry = Object.create(this);
+        retry._configure(settings);
+        return retry;
+    }
+
+    // Returns a function calling fn with the same arguments, retried
+
+    wrap(fn, options) {
+
+        const run = (thisArg, args) => {
+
+            const runOptions = typeof options === 'function' ? options(...args) : options;
+            return this.run(() => fn.apply(thisArg, args), runOptions);
+        };
+
+        return function (...args) {
+
+            return run(this, args);
+        };
+    }
+
+    // Installs a request interceptor on an axios instance, returns its id for eject()
+
+    axios(instance, options = {}) {
+
+        const getAdapter = options.getAdapter || instance.getAdapter;
+
+        return instance.interceptors.request.use((config) => {
+
+            let { adapter } = config;
+            if (typeof adapter !== 'function') {                 // Names such as ['xhr', 'http', 'fetch'] since axios 1
+                Hoek.assert(getAdapter, 'The getAdapter option is required to resolve the adapter names of axios');
+                adapter = getAdapter(adapter, config);
+            }
+
+            const retried = (requestConfig) => {
+
+                const request = { method: requestConfig.method, url: requestConfig.url };
+                const idempotencyKey = typeof options.idempotencyKey === 'function' ? options.idempotencyKey(requestConfig) : options.idempotencyKey;
+
+                const requestFunc = (context) => {
+
+                    const attemptConfig = Object.assign({}, requestConfig, { signal: context.signal });         // Cancels the request since axios 0.22
+                    if (context.idempotencyKey !== undefined) {
+                        attemptConfig.headers = internals.withHeader(requestConfig.headers, 'Idempotency-Key', context.idempotencyKey);
+                    }
+
+                    return adapter(attemptConfig);
+                };
+
+                return this.run(requestFunc, { request, idempotencyKey, signal: requestConfig.signal });
+            };
+
+            return Object.assign({}, config, { adapter: retried });
+        });
+    }
+
+    // Returns a Wreck client like wreck.defaults() whose shortcut methods are retried
+
+    wreck(wreck, options) {
+
+        const base = wreck.defaults(options || {});
+        const client = Object.create(base);
+
+        for (const method of ['get', 'post', 'patch', 'put', 'delete']) {
+            client[method] = (uri, requestOptions = {}) => {
+
+                const request = { method, url: uri };
+                const { idempotencyKey } = requestOptions;
+
+                const attemptOptions = Object.assign({}, requestOptions);
+                delete attemptOptions.idempotencyKey;                   // Not for Wreck
+
+                const requestFunc = (context) => {
+
+                    if (context.idempotencyKey === undefined) {
+                        return base[method](uri, attemptOptions);
+                    }
+
+                    const headers = internals.withHeader(requestOptions.headers, 'Idempotency-Key', context.idempotencyKey);
+                    return base[method](uri, Object.assign({}, attemptOptions, { headers }));
+                };
+
+                return this.run(requestFunc, { request, idempotencyKey });
+            };
+        }
 
-        if (!(err instanceof Error)) {
-            return false;
+        return client;
+    }
+
+    fetch(url, init = {}) {
+
+        const fetch = this._fetch || global.fetch;
+        Hoek.assert(fetch, 'fetch is not available, pass an implementation as the fetch option');
+
+        const options = {
+            signal: init.signal,
+            idempotencyKey: init.idempotencyKey,
+            request: { method: init.method || 'GET', url: String(url) }
+        };
+
+        const requestInit = Object.assign({}, init);
+        delete requestInit.idempotencyKey;                      // Not for fetch
+
+        const requestFunc = (context) => {
+
+            const attemptInit = Object.assign({}, requestInit, { signal: context.signal });
+            if (context.idempotencyKey !== undefined) {
+                attemptInit.headers = internals.withHeader(init.headers, 'Idempotency-Key', context.idempotencyKey);
+            }
+
+            return fetch(url, attemptInit);
+        };
+
+        return this.run(requestFunc, options);
+    }
+
+    // Like run() for callback-style clients, fn(done, context) calls done(err, result) once the request is done
+
+    runCallback(fn, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
+
+        Hoek.assert(typeof callback === 'function', 'runCallback() requires a callback');
+
+        let requestFunc = fn;                   // Validated by run()
+        if (typeof fn === 'function') {
+            requestFunc = (context) => {
+
+                return new Promise((resolve, reject) => {
+
+                    const done = (err, result) => {
+
+                        if (err) {
+                            return reject(err);
+                        }
+
+                        resolve(result);
+                    };
+
+                    fn(done, context);
+                });
+            };
+        }
+
+        // Outside of the promise chain, so that errors thrown by the callback are not swallowed
+
+        this.run(requestFunc, options).then(
+            (result) => process.nextTick(() => callback(null, result)),
+            (err) => process.nextTick(() => callback(err))
+        );
+    }
+
+    // Returns a readable stream passing on the stream created by factory(context). Failures until its first
+    // byte are retried like those of run(), errors after that fail the returned stream as its data was already passed on.
+
+    runStream(factory, options) {
+
+        Hoek.assert(!options || options.cacheKey === undefined, 'runStream() does not support the cacheKey option');
+
+        const output = new Stream.PassThrough();
+        const attempts = new Map();                 // Source stream to { attemptNumber, chunk, ended }
+
+        const { signal } = options || {};
+        const controller = new internals.AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+            if (signal.aborted) {
+                onAbort();
+            }
         }
 
+        output.on('close', () => controller.abort());           // Destroyed by the consumer, stops the retries
+
+        const requestFunc = (context) => {
+
+            internals.destroyStreams(attempts, context.attemptNumber);         // Streams of the previous attempts
+
+            return new Promise((resolve, reject) => {
+
+                const source = factory(context);
+                const attempt = { attemptNumber: context.attemptNumber, chunk: undefined, ended: false };
+                attempts.set(source, attempt);
+
+                const onData = (chunk) => {
+
+                    source.pause();
+                    attempt.chunk = chunk;
+                    done();
+                };
+
+                const onEnd = () => {
+
+                    attempt.ended = true;
+                    done();
+                };
+
+                const done = () => {
+
+                    source.removeListener('data', onData);
+                    source.removeListener('end', onEnd);
+                    resolve(source);
+                };
+
+                source.on('error', reject);         // Kept to ignore the errors of streams that lost
+                source.on('data', onData);
+                source.on('end', onEnd);
+            });
+        };
+
+        const cleanup = () => {
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+
+        const pass = (source) => {
+
+            cleanup();
+
+            const attempt = attempts.get(source);
+            attempts.delete(source);
+            internals.destroyStreams(attempts, Infinity);                     // Hedged calls that lost
+
+            if (output.destroyed) {
+                source.destroy();                   // The consumer is gone, nothing reads the source
+                return;
+            }
+
+            source.on('error', (err) => output.destroy(err));
+            output.on('close', () => source.destroy());
+
+            if (attempt.chunk !== undefined) {
+                output.write(attempt.chunk);
+            }
+
+            if (attempt.ended) {
+                output.end();
+                return;
+            }
+
+            source.pipe(output);
+        };
+
+        const fail = (err) => {
+
+            cleanup();
+            internals.destroyStreams(attempts, Infinity);
+            output.destroy(err);
+        };
+
+        this.run(requestFunc, Object.assign({}, options, { signal: controller.signal })).then(pass, fail);
+        return output;
+    }
+
+    // Returns a queue retrying requests kept in a store, e.g. across restarts of the process
+
+    durable(options) {
+
+        const queueOptions = Joi.attempt(options, internals.schemas.durable);
+        return new DurableQueue(this._override(options || {}), queueOptions);
+    }
+
+    get queueStats() {
+
+        return this._limiter ? this._limiter.stats : null;
+    }
+
+    // The settings in effect per key, those of the instance until enough retries were seen
+
+    get adaptiveStats() {
+
+        if (!this._adaptive) {
+            return null;
+        }
+
+        const defaults = { numberOfRetries: this._numberOfRetries, waitBetweenFirstRetryInMilliseconds: this._settings.waitBetweenFirstRetryInMilliseconds };
+        return this._adaptive.stats(defaults);
+    }
+
+    get endpointStats() {
+
+        return this._endpoints.stats;
+    }
+
+    _isNetworkOrHttpError(err) {
+
         if (this._retryNetworkErrorCodes.includes(err.code)) {
             return true;
         }
 
-        // These properties support client libraries such as Axios, Request and Wreck
-        const possibleProperties = ['code', 'statusCode', 'output.statusCode', 'response.status'];
-        const isRetryableHttpError = possibleProperties.some((property) => {
+        const isRetryableHttpError = internals.statusCodeProperties.some((property) => {
 
             const code = Hoek.reach(err, property);
             return this._retryHttpErrorCodes.includes(code);
@@ -64,30 +534,839 @@ exports = module.exports = internals.RequestRetry = class {
         return isRetryableHttpError;
     }
 
-    async run(requestFunc) {
+    _normalize(outcome) {
+
+        const { value, isError } = outcome;
+
+        for (const adapter of this._adapters) {
+            const info = adapter.normalize(value, isError);
+            if (info) {
+                return Object.assign({ adapter: adapter.name }, info, this._classifyNormalized(info));
+            }
+        }
+
+        // Unknown client library, guess properties
+
+        const retryable = isError && this._isNetworkOrHttpError(value);
+
+        let classification = 'notRetryable';
+        if (retryable) {
+            classification = this._retryNetworkErrorCodes.includes(value.code) ? 'networkError' : 'httpError';
+        }
+
+        return {
+            adapter: null,
+            statusCode: internals.statusCodeProperties.map((property) => Hoek.reach(value, property)).find((code) => typeof code === 'number'),
+            headers: internals.headersProperties.map((property) => Hoek.reach(value, property)).find(Boolean),
+            body: internals.bodyProperties.map((property) => Hoek.reach(value, property)).find((body) => body !== undefined),
+            networkCode: Hoek.reach(value, 'code'),
+            retryable,
+            classification
+        };
+    }
+
+    _classifyNormalized(info) {
+
+        if (typeof info.retryable === 'boolean') {
+            return { retryable: info.retryable, classification: info.retryable ? 'adapter' : 'notRetryable' };
+        }
+
+        if (this._retryNetworkErrorCodes.includes(info.networkCode)) {
+            return { retryable: true, classification: 'networkError' };
+        }
+
+        if (this._retryHttpErrorCodes.includes(info.statusCode)) {
+            return { retryable: true, classification: 'httpError' };
+        }
+
+        return { retryable: false, classification: 'notRetryable' };
+    }
+
+    _isIdempotent(request, idempotencyKey) {
+
+        if (!request ||
+            !request.method ||
+            idempotencyKey) {
+
+            return true;
+        }
+
+        return this._idempotentMethods.includes(request.method);
+    }
+
+    // Returns whether the attempt is retried and, apart from that, whether it was a failure of the dependency,
+    // which is what the circuit breaker, endpoint health and adaptive tuning learn from
+
+    async _classify(outcome, attempt, idempotent) {
+
+        if (outcome.isError &&
+            !(outcome.value instanceof Error)) {
+
+            return { retryable: false, failure: false, classification: 'notAnError' };
+        }
+
+        if (outcome.value instanceof Errors.AbortError) {
+            return { retryable: false, failure: false, classification: 'aborted' };
+        }
+
+        const builtIn = this._classifyBuiltIn(outcome);
+
+        if (this._shouldRetry) {
+            const decision = await this._shouldRetry(outcome.value, attempt);
+            if (typeof decision === 'boolean') {
+                return { retryable: decision, failure: builtIn.retryable, classification: 'shouldRetry' };
+            }
+        }
+
+        if (!idempotent) {
+            return { retryable: false, failure: builtIn.retryable, classification: 'notIdempotent' }; // Retrying might repeat side effects, e.g. charging twice
+        }
+
+        if (builtIn.classification !== 'rule' &&
+            !outcome.isError &&
+            this._retryOnResult &&
+            await this._retryOnResult(outcome.value)) {
+
+            return { retryable: true, failure: true, classification: 'retryOnResult' };
+        }
+
+        return { retryable: builtIn.retryable, failure: builtIn.retryable, classification: builtIn.classification };
+    }
+
+    _classifyBuiltIn(outcome) {
+
+        if (this._retryRules) {
+            const action = this._retryRules(outcome, this._normalize(outcome));
+            if (action) {
+                return { retryable: action === 'retry', classification: 'rule' };
+            }
+        }
+
+        if (outcome.value instanceof Errors.AttemptTimeoutError) {
+            return { retryable: true, classification: 'attemptTimeout' };
+        }
+
+        const { retryable, classification } = this._normalize(outcome);
+        return { retryable, classification };
+    }
+
+    _getRetryAfterInMilliseconds(info) {
+
+        const { headers } = info;
+
+        if (!this._honorRetryAfter ||
+            !headers) {
+
+            return null;
+        }
+
+        let wait = null;
+        if (headers['retry-after'] !== undefined) {
+            wait = internals.parseRetryAfter(headers['retry-after'], this._clock.now());
+        }
+        else if (info.statusCode === 429 &&
+            headers['x-ratelimit-reset'] !== undefined) {
+
+            wait = internals.parseRateLimitReset(headers['x-ratelimit-reset'], this._clock.now());
+        }
+
+        return wait === null ? null : Math.min(wait, this._maxRetryAfterInMilliseconds);
+    }
+
+    _getAttemptTimeoutInMilliseconds(elapsed) {
+
+        let timeout = this._attemptTimeoutInMilliseconds;
+
+        if (this._totalTimeoutInMilliseconds !== undefined) {
+            const remaining = Math.ceil(this._totalTimeoutInMilliseconds - elapsed);
+            timeout = timeout === undefined ? remaining : Math.min(timeout, remaining);
+        }
+
+        return timeout;
+    }
+
+    // Returns the time left until the total timeout, or undefined without one
+
+    _getRemainingInMilliseconds(timer) {
+
+        return this._totalTimeoutInMilliseconds === undefined ? undefined : this._totalTimeoutInMilliseconds - timer.elapsed();
+    }
+
+    _recordOutcome(probe, outcome, failure, endpoint) {
+
+        const aborted = outcome.value instanceof Errors.AbortError;
+
+        if (endpoint !== undefined &&
+            !aborted) {
+
+            this._endpoints[failure ? 'failure' : 'success'](endpoint);
+        }
+
+        if (!this._circuitBreaker) {
+            return;
+        }
+
+        if (aborted) {
+            this._circuitBreaker.release(probe);
+        }
+        else if (failure) {
+            this._circuitBreaker.failure();
+        }
+        else {
+            this._circuitBreaker.success(); // Errors such as 404 still prove that the dependency is up
+        }
+    }
+
+    // Calls release once the call settled, which may be after the attempt timed out or was aborted
+
+    async _attempt(requestFunc, context, timeout, release = Hoek.ignore) {
+
+        const { signal } = context;
+        const controller = new internals.AbortController();          // Cancels the call when the attempt times out or the run is aborted
+        context.signal = controller.signal;                         // The same context object is passed to the events of the attempt
+
+        let timer;
+        let onAbort;
+        const interrupted = new Promise((resolve, reject) => {
+
+            if (timeout !== undefined) {
+                timer = this._clock.setTimeout(() => {
+
+                    const error = new Errors.AttemptTimeoutError(timeout);
+                    controller.abort(error);
+                    reject(error);
+                }, timeout);
+            }
+
+            if (signal) {
+                onAbort = () => {
+
+                    controller.abort(signal.reason);
+                    reject(new Errors.AbortError(signal.reason));
+                };
+
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+
+        let running = null;
+        try {
+            internals.throwIfAborted(signal);
+            const call = () => requestFunc(context);
+            running = Promise.resolve(this._telemetry ? this._telemetry.bind(context, call) : call());
+            return await Promise.race([running, interrupted]);
+        }
+        finally {
+            if (running) {
+                running.then(release, release);
+            }
+            else {
+                release();
+            }
+
+            this._clock.clearTimeout(timer);
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    async _try(requestFunc, context, attempt, idempotent, timeout, release) {
+
+        let outcome;
+        try {
+            const result = await this._attempt(requestFunc, context, timeout, release);
+            outcome = { isError: false, value: result };
+        }
+        catch (err) {
+            outcome = { isError: true, value: err };
+        }
+
+        const { retryable, failure, classification } = await this._classify(outcome, attempt, idempotent);
+        return { outcome, retryable, failure, classification };
+    }
+
+    // Starts another call of requestFunc whenever the calls in flight are slow, the first one to settle wins
+
+    _hedge(requestFunc, context, attempt, options, getTimeout, releaseAttempt) {
+
+        const { signal } = context;
+        const { hedge } = options;
+
+        return new Promise((resolve, reject) => {
+
+            const controllers = [];
+            let pending = 0;
+            let timer = null;
+            let settled = false;
+
+            const onAbort = () => {
+
+                this._clock.clearTimeout(timer);
+                controllers.forEach((controller) => controller.abort(signal.reason));
+            };
+
+            const finish = (winner) => {
+
+                settled = true;
+                this._clock.clearTimeout(timer);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                for (const controller of controllers) {
+                    if (controller !== winner) {
+                        controller.abort();             // Cancels the calls that lost, the winner may still be reading its response
+                    }
+                }
+            };
+
+            const launch = () => {
+
+                let release = releaseAttempt;                   // The first call holds the slot of the attempt
+                if (controllers.length) {
+                    release = this._limiter ? this._limiter.tryAcquire(options.request) : Hoek.ignore;
+                }
+
+                if (!release) {
+                    return;                 // Hedging must not exceed the concurrency limit
+                }
+
+                const controller = new internals.AbortController();
+                controllers.push(controller);
+                ++pending;
+
+                if (signal &&
+                    signal.aborted) {
+
+                    controller.abort(signal.reason);
+                }
+
+                const hedgeContext = Object.assign({}, context, { hedgeNumber: controllers.length, signal: controller.signal });
+                if (hedgeContext.hedgeNumber > 1) {
+                    this.events.emit('hedge', hedgeContext);
+                }
+
+                if (controllers.length < hedge.maxHedged) {
+                    timer = this._clock.setTimeout(launch, hedge.afterInMilliseconds);
+                }
+
+                const onSettlement = (settlement) => {
+
+                    --pending;
+
+                    if (settled ||
+                        settlement.retryable && pending) {      // Other calls may still succeed
+
+                        return;
+                    }
+
+                    finish(controller);
+                    resolve(settlement);
+                };
+
+                const onError = (err) => {
+
+                    if (!settled) {
+                        finish();
+                        reject(err);
+                    }
+                };
+
+                this._try(requestFunc, hedgeContext, attempt, true, getTimeout(), release).then(onSettlement, onError);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            launch();
+        });
+    }
+
+    async _giveUp(reason, outcome, details) {
+
+        const data = {
+            reason,
+            classification: details.classification,
+            attempts: details.attempts,
+            elapsedInMilliseconds: details.timer.elapsed(),
+            context: details.context
+        };
+
+        if (outcome.isError &&
+            this._aggregateErrors &&
+            Utils.isObject(outcome.value)) {                 // Thrown values such as strings are rejected as they are
+
+            const error = new Errors.RetryError(outcome.value, { reason, attempts: details.history, totalElapsedInMilliseconds: data.elapsedInMilliseconds });
+            outcome = { isError: true, value: error };
+        }
+
+        data[outcome.isError ? 'error' : 'result'] = outcome.value;
+
+        this.events.emit('giveUp', data);
+
+        const { cacheKey, maxStaleInMilliseconds } = details.options;
+        if (cacheKey !== undefined &&
+            internals.staleReasons.includes(reason)) {
+
+            let stale = null;
+            try {
+                stale = await this._cache.getStale(cacheKey, maxStaleInMilliseconds);
+            }
+            catch (err) {
+                this.events.emit('cacheError', { key: cacheKey, error: err, context: data.context });        // The error of the run is more telling
+            }
+
+            if (stale) {
+                this.events.emit('servedStale', Object.assign({ key: cacheKey, value: stale.value, ageInMilliseconds: stale.ageInMilliseconds }, data));
+                return stale.value;
+            }
+        }
+
+        return internals.settle(outcome);
+    }
+
+    _giveUpAtDeadline(lastError, details) {
+
+        const error = new Errors.DeadlineExceededError(lastError, {
+            totalTimeoutInMilliseconds: this._totalTimeoutInMilliseconds,
+            elapsedInMilliseconds: details.timer.elapsed(),
+            attemptNumber: details.attempts
+        });
+
+        return this._giveUp('deadline', { isError: true, value: error }, details);
+    }
+
+    async run(requestFunc, options) {
 
         await Joi.validate(requestFunc, Joi.func().required());
+        const runOptions = await Joi.validate(options, internals.schemas.run);
+        Hoek.assert(runOptions.cacheKey === undefined || this._cache, 'The cacheKey run option requires the cache option');
+
+        const tuned = this._adaptive ? this._adaptive.tune(runOptions.request) : null;
+        return this._override(Object.assign({}, tuned, options))._run(requestFunc, runOptions);      // Settings of the run win over the tuned ones
+    }
+
+    async _run(requestFunc, options) {
+
+        const { signal } = options;
+        const idempotencyKey = options.idempotencyKey === true ? Uuid.random() : options.idempotencyKey || undefined;
+        const idempotent = this._isIdempotent(options.request, idempotencyKey);
+        const timer = Clock.timer(this._clock);
+
+        if (this._retryBudget) {
+            this._retryBudget.deposit();
+        }
 
-        const wrapper = async () => {
+        const metadata = {}; // Kept by requestFunc across attempts
+        const history = [];
+        let previousError;
+        let endpoint;
+        let wait;
 
+        for (let i = 1; ; ++i) {
+            const attempt = {
+                attemptNumber: i,
+                retriesLeft: this._numberOfRetries - (i - 1) // Minus 1 because the first attempt does not count as a retry
+            };
+
+            if (options.endpoints) {
+                endpoint = this._endpoints.select(options.endpoints, options.endpointStrategy, endpoint);
+            }
+
+            const context = Object.assign({}, attempt, {
+                previousError,
+                elapsedInMilliseconds: timer.elapsed(),
+                signal,
+                idempotencyKey,
+                metadata,
+                endpoint
+            });
+
+            const host = internals.host(endpoint === undefined ? options.request : { url: endpoint });
+
+            if (host !== null) {
+                let resumed;
+                try {
+                    resumed = await this._cooldowns.wait(host, signal, this._getRemainingInMilliseconds(timer));
+                }
+                catch (err) {
+                    return this._giveUp('aborted', { isError: true, value: err }, { attempts: i - 1, timer, context, history, options });
+                }
+
+                if (!resumed) {
+                    return this._giveUpAtDeadline(previousError, { attempts: i - 1, timer, context, history, options });
+                }
+            }
+
+            let probe;
             try {
-                return await requestFunc();
+                probe = this._circuitBreaker ? this._circuitBreaker.enter() : false;
             }
             catch (err) {
-                if (this._isNetworkOrHttpError(err)) {
-                    throw err; // Retry
+                return this._giveUp('circuitOpen', { isError: true, value: err }, { attempts: i - 1, timer, context, history, options });
+            }
+
+            let release = Hoek.ignore;
+            if (this._limiter) {
+                try {
+                    release = await this._limiter.acquire(options.request, i > 1, signal, this._getRemainingInMilliseconds(timer));      // Retries wait behind first attempts
+                }
+                catch (err) {
+                    if (this._circuitBreaker) {
+                        this._circuitBreaker.release(probe);
+                    }
+
+                    return this._giveUp(internals.queueGiveUpReasons[err.code], { isError: true, value: err }, { attempts: i - 1, timer, context, history, options });
+                }
+
+                if (!release) {
+                    if (this._circuitBreaker) {
+                        this._circuitBreaker.release(probe);
+                    }
+
+                    return this._giveUpAtDeadline(previousError, { attempts: i - 1, timer, context, history, options });       // No attempt starts after the deadline
+                }
+            }
+
+            this.events.emit('attemptStart', context);
+            const startedAt = this._clock.now();
+            const attemptTimer = Clock.timer(this._clock);
+
+            const getTimeout = () => this._getAttemptTimeoutInMilliseconds(timer.elapsed());
+
+            let settlement = null;
+            try {
+                settlement = options.hedge && idempotent ?       // Hedging non-idempotent requests would repeat side effects
+                    await this._hedge(requestFunc, context, attempt, options, getTimeout, release) :
+                    await this._try(requestFunc, context, attempt, idempotent, getTimeout(), release);
+            }
+            finally {
+                if (!settlement &&
+                    this._circuitBreaker) {
+
+                    this._circuitBreaker.release(probe);           // A hook such as shouldRetry threw, the outcome was never recorded
+                }
+            }
+
+            const { outcome, retryable, failure, classification } = settlement;
+            this._recordOutcome(probe, outcome, failure, endpoint);
+
+            const entry = { startedAt, durationInMilliseconds: attemptTimer.elapsed(), delayBeforeNextInMilliseconds: null, classification };
+            entry[outcome.isError ? 'error' : 'result'] = outcome.value;
+            history.push(entry);
+
+            if (this._adaptive &&
+                classification !== 'aborted') {
+
+                this._adaptive.record(options.request, { durationInMilliseconds: entry.durationInMilliseconds, isRetry: i > 1, succeeded: !failure });
+            }
+
+            if (!retryable) {
+                if (outcome.isError) {
+                    const reason = classification === 'aborted' ? 'aborted' : 'nonRetryable';
+                    return this._giveUp(reason, outcome, { classification, attempts: i, timer, context, history, options }); // Don't retry
+                }
+
+                if (options.cacheKey !== undefined) {
+                    try {
+                        await this._cache.set(options.cacheKey, outcome.value, this._normalize(outcome));
+                    }
+                    catch (err) {
+                        this.events.emit('cacheError', { key: options.cacheKey, error: err, context });       // The cache is optional, the result still good
+                    }
                 }
 
-                throw new Retry.AbortError(err); // Don't retry
+                this.events.emit('attemptSuccess', { result: outcome.value, durationInMilliseconds: entry.durationInMilliseconds, context });
+                this.events.emit('success', { result: outcome.value, attempts: i, elapsedInMilliseconds: timer.elapsed(), context });
+                return outcome.value;
+            }
+
+            const info = this._normalize(outcome);
+            const retryAfter = this._getRetryAfterInMilliseconds(info);
+
+            if (info.statusCode === 429 &&
+                retryAfter !== null &&
+                host !== null) {
+
+                this._cooldowns.start(host, retryAfter);       // Other calls to the host pause as well
             }
+
+            let giveUp = null;
+            let final = outcome;
+
+            if (attempt.retriesLeft === 0) {
+                giveUp = 'exhausted';
+            }
+            else {
+                wait = retryAfter !== null ? retryAfter : this._backoff(attempt.attemptNumber, outcome.value, wait);
+
+                const elapsed = timer.elapsed();
+                if (this._totalTimeoutInMilliseconds !== undefined &&
+                    elapsed + wait >= this._totalTimeoutInMilliseconds) {
+
+                    giveUp = 'deadline';
+
+                    if (outcome.isError) {
+                        const error = new Errors.DeadlineExceededError(outcome.value, {
+                            totalTimeoutInMilliseconds: this._totalTimeoutInMilliseconds,
+                            elapsedInMilliseconds: elapsed,
+                            attemptNumber: attempt.attemptNumber
+                        });
+
+                        final = { isError: true, value: error };
+                    }
+                }
+                else if (this._retryBudget &&
+                    !this._retryBudget.withdraw()) {
+
+                    giveUp = 'budget';
+
+                    if (outcome.isError) {
+                        outcome.value.retryBudgetExhausted = true;
+                    }
+                }
+            }
+
+            const failed = outcome.isError ? outcome.value : { result: outcome.value };
+            this.events.emit('failedAttempt', Object.assign(failed, attempt, { context, classification, waitInMilliseconds: giveUp ? null : wait }));
+            previousError = outcome.isError ? outcome.value : undefined;
+
+            if (giveUp) {
+                return this._giveUp(giveUp, final, { classification, attempts: i, timer, context, history, options });
+            }
+
+            entry.delayBeforeNextInMilliseconds = wait;
+
+            this.events.emit('retryScheduled', { waitInMilliseconds: wait, nextAttemptNumber: i + 1, context });
+
+            try {
+                await internals.wait(this._clock, wait, signal);
+            }
+            catch (err) {
+                return this._giveUp('aborted', { isError: true, value: err }, { attempts: i, timer, context, history, options });
+            }
+        }
+    }
+};
+
+
+exports.AbortError = Errors.AbortError;
+
+exports.adapters = Adapters;
+
+exports.AttemptTimeoutError = Errors.AttemptTimeoutError;
+
+exports.CircuitOpenError = Errors.CircuitOpenError;
+
+exports.DeadlineExceededError = Errors.DeadlineExceededError;
+
+exports.FileStore = Stores.FileStore;
+
+exports.isStale = Cache.isStale;
+
+exports.LruStore = Cache.LruStore;
+
+exports.MemoryStore = Stores.MemoryStore;
+
+exports.QueueFullError = Errors.QueueFullError;
+
+exports.QueueTimeoutError = Errors.QueueTimeoutError;
+
+exports.RetryBudget = RetryBudget;
+
+exports.RetryError = Errors.RetryError;
+
+
+/* $lab:coverage:off$ */
+internals.AbortController = global.AbortController || class {     // For Node.js versions without AbortController
+
+    constructor() {
+
+        this.signal = new Events.EventEmitter();
+        this.signal.aborted = false;
+        this.signal.addEventListener = (type, listener) => this.signal.once(type, listener);
+        this.signal.removeEventListener = (type, listener) => this.signal.removeListener(type, listener);
+    }
+
+    abort(reason) {
+
+        if (!this.signal.aborted) {
+            this.signal.aborted = true;
+            this.signal.reason = reason;
+            this.signal.emit('abort');
+        }
+    }
+};
+/* $lab:coverage:on$ */
+
+
+// Retry-After is either a number of seconds or an HTTP-date (https://tools.ietf.org/html/rfc7231#section-7.1.3)
+
+internals.parseRetryAfter = function (value, now) {
+
+    value = String(value).trim();
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+
+    return Math.max(date - now, 0);
+};
+
+
+internals.applyPolicy = function (options) {
+
+    if (!options ||
+        options.policy === undefined) {
+
+        return options;
+    }
+
+    const policy = internals.policies.get(options.policy);
+    Hoek.assert(policy, `Unknown retry policy ${options.policy}`);
+
+    return Object.assign({}, policy, options);
+};
+
+
+internals.pick = function (options, keys) {
+
+    const picked = {};
+
+    for (const key of keys) {
+        if (options[key] !== undefined) {
+            picked[key] = options[key];
+        }
+    }
+
+    return picked;
+};
+
+
+// X-RateLimit-Reset is either a number of seconds or a Unix timestamp in seconds
+
+internals.parseRateLimitReset = function (value, now) {
+
+    value = String(value).trim();
+
+    if (!/^\d+$/.test(value)) {
+        return null;
+    }
+
+    const seconds = parseInt(value, 10);
+    if (seconds < 1e9) {                                        // Earlier than 2001, so not a timestamp
+        return seconds * 1000;
+    }
+
+    return Math.max(seconds * 1000 - now, 0);
+};
+
+
+internals.destroyStreams = function (attempts, beforeAttemptNumber) {
+
+    for (const [stream, attempt] of attempts) {
+        if (attempt.attemptNumber < beforeAttemptNumber) {
+            attempts.delete(stream);
+            stream.destroy();
+        }
+    }
+};
+
+
+internals.host = function (request) {
+
+    const url = request && (request.url || request.uri);
+
+    try {
+        return new URL(url).host;
+    }
+    catch (err) {
+        return null;                                            // Unrelated calls must not share a cooldown
+    }
+};
+
+
+// Returns a copy of headers with the header added, headers being a plain object, an array of pairs or a Headers of fetch or axios
+
+internals.withHeader = function (headers, name, value) {
+
+    if (Array.isArray(headers)) {
+        return headers.concat([[name, value]]);
+    }
+
+    if (headers &&
+        typeof headers.set === 'function') {
+
+        const copy = new headers.constructor(headers);
+        copy.set(name, value);
+        return copy;
+    }
+
+    return Object.assign({}, headers, { [name]: value });
+};
+
+
+internals.settle = function (outcome) {
+
+    if (outcome.isError) {
+        throw outcome.value;
+    }
+
+    return outcome.value;
+};
+
+
+internals.throwIfAborted = function (signal) {
+
+    if (signal && signal.aborted) {
+        throw new Errors.AbortError(signal.reason);
+    }
+};
+
+
+internals.wait = function (clock, timeout, signal) {
+
+    return new Promise((resolve, reject) => {
+
+        internals.throwIfAborted(signal);
+
+        const waited = Clock.timer(clock);
+        let timer;
+
+        const onAbort = () => {
+
+            clock.clearTimeout(timer);
+            reject(new Errors.AbortError(signal.reason));
         };
 
-        const options = {
-            retries: this._numberOfRetries,
-            minTimeout: this._waitBetweenFirstRetryInMilliseconds,
-            onFailedAttempt: (data) => this.events.emit('failedAttempt', data)
+        const onTimeout = () => {
+
+            const remaining = timeout - waited.elapsed();
+            if (remaining > 0) {
+                timer = clock.setTimeout(onTimeout, remaining);         // Timers measure from the time the event loop cached, which lags behind when it is busy
+                return;
+            }
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+
+            resolve();
         };
 
-        return await Retry(wrapper, options);
-    }
+        timer = clock.setTimeout(onTimeout, timeout);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
 };
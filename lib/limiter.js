@@ -0,0 +1,186 @@
+'use strict';
+
+const Clock = require('./clock');
+const Errors = require('./errors');
+const Utils = require('./utils');
+
+const internals = {};
+
+
+// Caps the attempts in flight per key, first attempts are queued ahead of retries
+
+exports = module.exports = internals.Limiter = class {
+
+    constructor(options, clock) {
+
+        this._maxInFlight = options.maxInFlight;
+        this._key = options.key || Utils.defaultKey;
+        this._maxQueueSize = options.maxQueueSize;
+        this._queueTimeoutInMilliseconds = options.queueTimeoutInMilliseconds;
+        this._clock = clock;
+
+        this._pools = new Map();
+        this._queueDepth = 0;
+        this._acquired = 0;
+        this._queued = 0;
+        this._totalWaitInMilliseconds = 0;
+        this._maxWaitInMilliseconds = 0;
+    }
+
+    get stats() {
+
+        const keys = {};
+        let inFlight = 0;
+
+        for (const [key, pool] of this._pools) {
+            keys[key] = { inFlight: pool.inFlight, queueDepth: pool.queues[0].length + pool.queues[1].length };
+            inFlight += pool.inFlight;
+        }
+
+        return {
+            inFlight,
+            queueDepth: this._queueDepth,
+            acquired: this._acquired,
+            queued: this._queued,
+            averageWaitInMilliseconds: this._acquired ? this._totalWaitInMilliseconds / this._acquired : 0,
+            maxWaitInMilliseconds: this._maxWaitInMilliseconds,
+            keys
+        };
+    }
+
+    // Returns a function releasing the slot, or null if none is free
+
+    tryAcquire(request) {
+
+        const key = this._key(request);
+        return this._tryAcquire(key, this._pool(key));
+    }
+
+    // Resolves with a function releasing the slot, or with null once none was free within timeoutInMilliseconds
+
+    acquire(request, isRetry, signal, timeoutInMilliseconds = Infinity) {
+
+        if (signal &&
+            signal.aborted) {
+
+            return Promise.reject(new Errors.AbortError(signal.reason));
+        }
+
+        const key = this._key(request);
+        const pool = this._pool(key);
+
+        const release = this._tryAcquire(key, pool);
+        if (release) {
+            return Promise.resolve(release);
+        }
+
+        if (this._maxQueueSize !== undefined &&
+            this._queueDepth >= this._maxQueueSize) {
+
+            return Promise.reject(new Errors.QueueFullError(this._maxQueueSize));
+        }
+
+        const queue = pool.queues[isRetry ? 1 : 0];
+
+        return new Promise((resolve, reject) => {
+
+            const waiter = {
+                timer: Clock.timer(this._clock),
+                resolve: (slot) => {
+
+                    cleanup();
+                    this._recordWait(waiter.timer.elapsed());
+                    resolve(slot);
+                }
+            };
+
+            const leave = () => {
+
+                queue.splice(queue.indexOf(waiter), 1);
+                --this._queueDepth;
+                cleanup();
+            };
+
+            const onAbort = () => {
+
+                leave();
+                reject(new Errors.AbortError(signal.reason));
+            };
+
+            const onTimeout = () => {
+
+                leave();
+
+                if (timeoutInMilliseconds < queueTimeout) {
+                    return resolve(null);
+                }
+
+                reject(new Errors.QueueTimeoutError(queueTimeout));
+            };
+
+            const queueTimeout = this._queueTimeoutInMilliseconds === undefined ? Infinity : this._queueTimeoutInMilliseconds;
+            const timeout = Math.min(queueTimeout, timeoutInMilliseconds);
+            const timer = timeout === Infinity ? null : this._clock.setTimeout(onTimeout, timeout);
+
+            const cleanup = () => {
+
+                this._clock.clearTimeout(timer);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            queue.push(waiter);
+            ++this._queueDepth;
+            ++this._queued;
+        });
+    }
+
+    _pool(key) {
+
+        let pool = this._pools.get(key);
+        if (!pool) {
+            pool = { inFlight: 0, queues: [[], []] };         // First attempts and retries
+            this._pools.set(key, pool);
+        }
+
+        return pool;
+    }
+
+    _tryAcquire(key, pool) {
+
+        if (pool.inFlight >= this._maxInFlight) {
+            return null;
+        }
+
+        ++pool.inFlight;
+        this._recordWait(0);
+        return () => this._release(key, pool);
+    }
+
+    _release(key, pool) {
+
+        const waiter = pool.queues[0].shift() || pool.queues[1].shift();
+        if (waiter) {
+            --this._queueDepth;
+            waiter.resolve(() => this._release(key, pool));     // The slot is handed over
+            return;
+        }
+
+        if (!--pool.inFlight) {
+            this._pools.delete(key);
+        }
+    }
+
+    _recordWait(wait) {
+
+        ++this._acquired;
+        this._totalWaitInMilliseconds += wait;
+        this._maxWaitInMilliseconds = Math.max(this._maxWaitInMilliseconds, wait);
+    }
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const Joi = require('@hapi/joi');
+
+const Utils = require('./utils');
+
+const internals = {};
+
+
+// Rules are plain data, so that they can be loaded from JSON configuration
+
+exports.schema = Joi.array().items(Joi.object({
+    status: Joi.alternatives().try(
+        Joi.number().integer(),
+        Joi.string().regex(/^[1-5]xx$/, 'status class'),
+        Joi.array().ordered(Joi.number().integer().required(), Joi.number().integer().required())
+    ),
+    errorName: Joi.array().items(Joi.string()).single(),
+    code: Joi.array().items(Joi.string()).single(),
+    header: Joi.object({
+        name: Joi.string().lowercase().required(),
+        value: Joi.string(),
+        pattern: Joi.string()
+    }).nand('value', 'pattern'),
+    body: Joi.object({
+        path: Joi.string().required(),
+        equals: Joi.any()
+    }),
+    action: Joi.string().valid('retry', 'noRetry').default('retry')
+}).or('status', 'errorName', 'code', 'header', 'body'));
+
+
+// Returns a function deciding 'retry', 'noRetry' or null with the first rule whose conditions all match
+
+exports.compile = function (rules) {
+
+    const compiled = rules.map((rule) => {
+
+        const conditions = [];
+
+        if (rule.status !== undefined) {
+            conditions.push(internals.status(rule.status));
+        }
+
+        if (rule.errorName) {
+            conditions.push((outcome) => outcome.isError && internals.errorNames(outcome.value).some((name) => rule.errorName.includes(name)));
+        }
+
+        if (rule.code) {
+            conditions.push((outcome) => outcome.isError && Utils.causes(outcome.value).some((error) => rule.code.includes(error.code)));
+        }
+
+        if (rule.header) {
+            conditions.push(internals.header(rule.header));
+        }
+
+        if (rule.body) {
+            conditions.push(internals.body(rule.body));
+        }
+
+        return { action: rule.action, conditions };
+    });
+
+    return (outcome, info) => {
+
+        const match = compiled.find((rule) => rule.conditions.every((condition) => condition(outcome, info)));
+        return match ? match.action : null;
+    };
+};
+
+
+internals.status = function (status) {
+
+    if (typeof status === 'number') {
+        return (outcome, info) => info.statusCode === status;
+    }
+
+    if (typeof status === 'string') {
+        const statusClass = parseInt(status[0], 10);
+        return (outcome, info) => Math.floor(info.statusCode / 100) === statusClass;
+    }
+
+    const [min, max] = status;
+    return (outcome, info) => info.statusCode >= min && info.statusCode <= max;
+};
+
+
+internals.errorNames = function (error) {
+
+    const names = [error.name];
+
+    let prototype = Object.getPrototypeOf(error);
+    while (prototype) {
+        names.push(prototype.constructor.name);
+        prototype = Object.getPrototypeOf(prototype);
+    }
+
+    return names;
+};
+
+
+internals.header = function (header) {
+
+    const pattern = header.pattern === undefined ? null : new RegExp(header.pattern);
+
+    return (outcome, info) => {
+
+        const value = info.headers ? info.headers[header.name] : undefined;
+        if (value === undefined) {
+            return false;
+        }
+
+        if (pattern) {
+            return pattern.test(String(value));
+        }
+
+        return header.value === undefined || String(value) === header.value;
+    };
+};
+
+
+internals.body = function (body) {
+
+    const segments = body.path.split('.').map((segment) => {
+
+        const each = segment.endsWith('[]');
+        return { key: each ? segment.slice(0, -2) : segment, each };
+    });
+
+    return (outcome, info) => {
+
+        const values = internals.reachAll(internals.parse(info.body), segments);
+        if (!('equals' in body)) {
+            return values.length > 0;
+        }
+
+        return values.some((value) => Hoek.deepEqual(value, body.equals));
+    };
+};
+
+
+// Like Hoek.reach() but 'errors[]' continues with every item of the errors array
+
+internals.reachAll = function (value, segments) {
+
+    let values = [value];
+
+    for (const segment of segments) {
+        const next = [];
+
+        for (const item of values) {
+            let child = item;               // '[].code' iterates a top level array
+            if (segment.key) {
+                child = item !== null && typeof item === 'object' ? item[segment.key] : undefined;
+            }
+
+            if (segment.each &&
+                Array.isArray(child)) {
+
+                next.push(...child);
+            }
+            else if (child !== undefined) {
+                next.push(child);
+            }
+        }
+
+        values = next;
+    }
+
+    return values;
+};
+
+
+internals.parse = function (body) {
+
+    if (Buffer.isBuffer(body)) {
+        body = body.toString();
+    }
+
+    if (typeof body !== 'string') {
+        return body;
+    }
+
+    try {
+        return JSON.parse(body);
+    }
+    catch (err) {
+        return null;
+    }
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+const Fs = require('fs');
+const Util = require('util');
+
+const Hoek = require('@hapi/hoek');
+
+const internals = {
+    appendFile: Util.promisify(Fs.appendFile),
+    readFile: Util.promisify(Fs.readFile),
+    rename: Util.promisify(Fs.rename),
+    writeFile: Util.promisify(Fs.writeFile)
+};
+
+
+// A store keeps the jobs of a durable queue. All methods return promises, so that other stores can be
+// backed by e.g. Redis:
+//
+// - push(job) - adds a job or replaces the job with the same id.
+// - claim(now, leaseUntil, limit) - returns up to limit jobs due by now, earliest first, and moves their
+//   nextAttemptAt to leaseUntil so other workers skip them. Jobs of a worker that died come due again.
+// - remove(id) - removes a job.
+// - bury(job) - replaces a job by adding it to the dead letters.
+// - deadLetters() - returns the dead letters.
+
+exports.MemoryStore = class {
+
+    constructor() {
+
+        this._jobs = new Map();
+        this._dead = new Map();
+    }
+
+    push(job) {
+
+        this._push(internals.copy(job));
+        return Promise.resolve();
+    }
+
+    claim(now, leaseUntil, limit) {
+
+        const due = Array.from(this._jobs.values())
+            .filter((job) => job.nextAttemptAt <= now)
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+            .slice(0, limit);
+
+        const claimed = due.map(internals.copy);
+        this._lease(due.map((job) => job.id), leaseUntil);
+        return Promise.resolve(claimed);
+    }
+
+    remove(id) {
+
+        this._remove(id);
+        return Promise.resolve();
+    }
+
+    bury(job) {
+
+        this._bury(internals.copy(job));
+        return Promise.resolve();
+    }
+
+    deadLetters() {
+
+        return Promise.resolve(Array.from(this._dead.values()).map(internals.copy));
+    }
+
+    _push(job) {
+
+        this._jobs.set(job.id, job);
+    }
+
+    _lease(ids, leaseUntil) {
+
+        for (const id of ids) {
+            const job = this._jobs.get(id);
+            if (job) {
+                job.nextAttemptAt = leaseUntil;
+            }
+        }
+    }
+
+    _remove(id) {
+
+        this._jobs.delete(id);
+    }
+
+    _bury(job) {
+
+        this._jobs.delete(job.id);
+        this._dead.set(job.id, job);
+    }
+};
+
+
+// Keeps the jobs in memory and appends every change to a JSON Lines file, which is replayed and compacted on first use
+
+exports.FileStore = class extends exports.MemoryStore {
+
+    constructor(path) {
+
+        super();
+
+        this._path = path;
+        this._loading = null;
+        this._writing = Promise.resolve();
+    }
+
+    async push(job) {
+
+        await this._load();
+        await super.push(job);
+        await this._append({ push: job });
+    }
+
+    async claim(now, leaseUntil, limit) {
+
+        await this._load();
+
+        const claimed = await super.claim(now, leaseUntil, limit);
+        if (claimed.length) {
+            await this._append({ lease: claimed.map((job) => job.id), leaseUntil });
+        }
+
+        return claimed;
+    }
+
+    async remove(id) {
+
+        await this._load();
+        await super.remove(id);
+        await this._append({ remove: id });
+    }
+
+    async bury(job) {
+
+        await this._load();
+        await super.bury(job);
+        await this._append({ bury: job });
+    }
+
+    async deadLetters() {
+
+        await this._load();
+        return super.deadLetters();
+    }
+
+    _load() {
+
+        this._loading = this._loading || this._replay();
+        return this._loading;
+    }
+
+    async _replay() {
+
+        let content = '';
+        try {
+            content = await internals.readFile(this._path, 'utf8');
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+
+        for (const line of content.split('\n')) {
+            const record = internals.parse(line);
+            if (!record) {
+                continue;                           // Empty or cut off by a crash while appending
+            }
+
+            if (record.push) {
+                this._push(record.push);
+            }
+            else if (record.lease) {
+                this._lease(record.lease, record.leaseUntil);
+            }
+            else if (record.remove) {
+                this._remove(record.remove);
+            }
+            else if (record.bury) {
+                this._bury(record.bury);
+            }
+        }
+
+        // Rewrite the log with only the current jobs, the rename replaces it at once
+
+        const records = Array.from(this._jobs.values()).map((job) => ({ push: job }))
+            .concat(Array.from(this._dead.values()).map((job) => ({ bury: job })));
+
+        const compacted = `${this._path}.${process.pid}.tmp`;
+        await internals.writeFile(compacted, records.map((record) => JSON.stringify(record) + '\n').join(''));
+        await internals.rename(compacted, this._path);
+    }
+
+    _append(record) {
+
+        const write = this._writing.then(() => internals.appendFile(this._path, JSON.stringify(record) + '\n'));
+        this._writing = write.catch(Hoek.ignore);           // Keeps the order of the records
+        return write;
+    }
+};
+
+
+// Jobs are copied as if serialized, so that jobs work the same with stores that do serialize them
+
+internals.copy = function (job) {
+
+    return JSON.parse(JSON.stringify(job));
+};
+
+
+internals.parse = function (line) {
+
+    try {
+        return JSON.parse(line);
+    }
+    catch (err) {
+        return null;
+    }
+};
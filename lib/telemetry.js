@@ -0,0 +1,169 @@
+'use strict';
+
+const Package = require('../package.json');
+
+const internals = {};
+
+
+// OpenTelemetry is optional, instrumentation is only enabled if the API is installed
+
+/* $lab:coverage:off$ */
+internals.loadApi = function () {
+
+    try {
+        return require('@opentelemetry/api');
+    }
+    catch (err) {
+        return null;
+    }
+};
+/* $lab:coverage:on$ */
+
+
+exports = module.exports = internals.Telemetry = class {
+
+    // Builds spans and metrics from the lifecycle events of run()
+
+    constructor(options, events, normalize) {
+
+        const { trace, metrics } = internals.Telemetry.api;
+
+        const tracerProvider = options.tracerProvider || trace.getTracerProvider();
+        const meterProvider = options.meterProvider || metrics.getMeterProvider();
+        const meter = meterProvider.getMeter(Package.name, Package.version);
+
+        this._tracer = tracerProvider.getTracer(Package.name, Package.version);
+        this._normalize = normalize;
+        this._runs = new WeakMap(); // Keyed by the metadata of a run, which all its attempts share
+
+        this._attempts = meter.createCounter('request_retry.attempts', { description: 'Number of attempts' });
+        this._retries = meter.createCounter('request_retry.retries', { description: 'Number of scheduled retries' });
+        this._giveUps = meter.createCounter('request_retry.give_ups', { description: 'Number of runs given up' });
+        this._duration = meter.createHistogram('request_retry.duration', { description: 'Time until a run settles, including retries', unit: 'ms' });
+
+        events.on('attemptStart', (context) => this._onAttemptStart(context));
+        events.on('attemptSuccess', (data) => this._endAttempt(this._runs.get(data.context.metadata)));
+        events.on('failedAttempt', (failure) => this._onFailedAttempt(failure));
+        events.on('retryScheduled', () => this._retries.add(1));
+        events.on('giveUp', (data) => this._onGiveUp(data));
+        events.on('success', (data) => this._onSuccess(data));
+    }
+
+    // Makes the attempt span the active span while requestFunc runs, to parent the spans of HTTP clients
+
+    bind(context, fn) {
+
+        const { context: api, trace } = internals.Telemetry.api;
+
+        const run = this._runs.get(context.metadata);
+        if (!run) {
+            return fn();                // Attempts of durable jobs are made outside of run()
+        }
+
+        return api.with(trace.setSpan(api.active(), run.attempt), fn);
+    }
+
+    _startRun(context) {
+
+        const run = {
+            span: this._tracer.startSpan('request-retry run'),
+            attempt: null
+        };
+
+        this._runs.set(context.metadata, run);
+        return run;
+    }
+
+    _onAttemptStart(context) {
+
+        const { context: api, trace } = internals.Telemetry.api;
+
+        this._attempts.add(1);
+
+        const run = this._runs.get(context.metadata) || this._startRun(context);
+        const attributes = { 'request_retry.attempt_number': context.attemptNumber };
+        run.attempt = this._tracer.startSpan('request-retry attempt', { attributes }, trace.setSpan(api.active(), run.span));
+    }
+
+    _onFailedAttempt(failure) {
+
+        const isError = failure instanceof Error;
+        const run = this._runs.get(failure.context.metadata);
+
+        if (failure.waitInMilliseconds !== null) {
+            run.attempt.setAttribute('request_retry.backoff_delay_ms', failure.waitInMilliseconds);
+        }
+
+        this._endAttempt(run, { isError, value: isError ? failure : failure.result }, failure.classification);
+    }
+
+    _onGiveUp(data) {
+
+        const run = this._runs.get(data.context.metadata) || this._startRun(data.context);
+        const outcome = 'error' in data ? { isError: true, value: data.error } : { isError: false, value: data.result };
+
+        if (run.attempt) {
+            this._endAttempt(run, outcome, data.classification); // Not retryable or aborted, no failedAttempt event was emitted
+        }
+
+        run.span.setAttributes({
+            'request_retry.attempts': data.attempts,
+            'request_retry.give_up_reason': data.reason
+        });
+
+        this._endSpan(run.span, outcome);
+        this._runs.delete(data.context.metadata);
+
+        this._giveUps.add(1, { 'request_retry.give_up_reason': data.reason });
+        this._duration.record(data.elapsedInMilliseconds, { 'request_retry.outcome': 'giveUp' });
+    }
+
+    _onSuccess(data) {
+
+        const run = this._runs.get(data.context.metadata);
+
+        run.span.setAttribute('request_retry.attempts', data.attempts);
+        run.span.end();
+        this._runs.delete(data.context.metadata);
+
+        this._duration.record(data.elapsedInMilliseconds, { 'request_retry.outcome': 'success' });
+    }
+
+    _endAttempt(run, outcome, classification) {
+
+        const span = run.attempt;
+        run.attempt = null;
+
+        if (!outcome) {
+            span.end();
+            return;
+        }
+
+        span.setAttribute('request_retry.classification', classification);
+
+        if (classification !== 'notAnError') {
+            const { statusCode } = this._normalize(outcome);
+            if (statusCode !== undefined) {
+                span.setAttribute('http.status_code', statusCode);
+            }
+        }
+
+        this._endSpan(span, outcome);
+    }
+
+    _endSpan(span, outcome) {
+
+        const { SpanStatusCode } = internals.Telemetry.api;
+
+        if (outcome.isError) {
+            const error = outcome.value instanceof Error ? outcome.value : new Error(`Non-error thrown: ${outcome.value}`);
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        }
+
+        span.end();
+    }
+};
+
+
+exports.api = internals.loadApi();
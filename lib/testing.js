@@ -0,0 +1,175 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const Clock = require('./clock');
+
+const internals = {
+    maxTimers: 10000
+};
+
+
+// Timers only fire when the clock is advanced, so retries run without really waiting
+
+exports.FakeClock = class {
+
+    constructor(now = 0) {
+
+        this._now = now;
+        this._timers = new Set();           // Timers due at the same time fire in the order they were set
+    }
+
+    get pendingTimers() {
+
+        return this._timers.size;
+    }
+
+    now() {
+
+        return this._now;
+    }
+
+    setTimeout(callback, timeout) {
+
+        const timer = { at: this._now + Math.max(timeout, 0), callback };
+        this._timers.add(timer);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+
+        this._timers.delete(timer);
+    }
+
+    // Advances the clock, firing the timers due and settling the promises chained to them in between
+
+    async tick(milliseconds) {
+
+        const until = this._now + milliseconds;
+
+        await internals.flush();
+
+        let timer = this._next(until);
+        while (timer) {
+            this._fire(timer);
+            await internals.flush();
+            timer = this._next(until);
+        }
+
+        this._now = until;
+    }
+
+    // Fires timers until none are left, e.g. until run() settled
+
+    async runAll() {
+
+        await internals.flush();
+
+        for (let i = 0; this._timers.size; ++i) {
+            Hoek.assert(i < internals.maxTimers, `Timers are still being scheduled after firing ${internals.maxTimers}`);
+
+            this._fire(this._next(Infinity));
+            await internals.flush();
+        }
+    }
+
+    _next(until) {
+
+        let next = null;
+
+        for (const timer of this._timers) {
+            if (timer.at <= until &&
+                (!next || timer.at < next.at)) {
+
+                next = timer;
+            }
+        }
+
+        return next;
+    }
+
+    _fire(timer) {
+
+        this._timers.delete(timer);
+        this._now = timer.at;
+        timer.callback();
+    }
+};
+
+
+// Returns a requestFunc going through the steps, one per call, and recording its calls. A step is
+// a network error code such as 'ECONNRESET', a status code, an error to throw, a value to resolve
+// or a function (context) returning one of these.
+
+exports.script = function (steps, options = {}) {
+
+    const clock = options.clock || Clock.real;
+    const calls = [];
+
+    const requestFunc = (context) => {
+
+        calls.push({ attemptNumber: context.attemptNumber, at: clock.now() });
+        Hoek.assert(calls.length <= steps.length, `Script has no step for call ${calls.length}`);
+
+        const step = steps[calls.length - 1];
+        const value = internals.outcome(typeof step === 'function' ? step(context) : step);
+        return value instanceof Error ? Promise.reject(value) : Promise.resolve(value);
+    };
+
+    requestFunc.calls = calls;
+    return requestFunc;
+};
+
+
+exports.networkError = function (code) {
+
+    return Object.assign(new Error(`Network error ${code}`), { code });
+};
+
+
+exports.httpError = function (statusCode, options = {}) {
+
+    return Object.assign(new Error(`Response error ${statusCode}`), { statusCode, headers: options.headers || {}, body: options.body });
+};
+
+
+exports.response = function (statusCode, options = {}) {
+
+    return { statusCode, headers: options.headers || {}, body: options.body };
+};
+
+
+exports.assertCalls = function (requestFunc, count) {
+
+    Hoek.assert(requestFunc.calls.length === count, `Expected ${count} calls but got ${requestFunc.calls.length}`);
+};
+
+
+// Compares the time between consecutive calls, exact when the script uses a FakeClock
+
+exports.assertDelays = function (requestFunc, delays) {
+
+    const { calls } = requestFunc;
+    const actual = calls.slice(1).map((call, index) => call.at - calls[index].at);
+    Hoek.assert(Hoek.deepEqual(actual, delays), `Expected delays ${JSON.stringify(delays)} but got ${JSON.stringify(actual)}`);
+};
+
+
+internals.outcome = function (step) {
+
+    if (typeof step === 'string') {
+        return exports.networkError(step);
+    }
+
+    if (typeof step === 'number') {
+        return step >= 400 ? exports.httpError(step) : exports.response(step);
+    }
+
+    return step;
+};
+
+
+internals.flush = function () {
+
+    return new Promise((resolve) => setImmediate(resolve));
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const internals = {
+    maxCauseDepth: 10
+};
+
+
+exports.isObject = function (value) {
+
+    return value !== null && typeof value === 'object';
+};
+
+
+// Returns the error followed by the chain of its causes, which could be circular
+
+exports.causes = function (error) {
+
+    const causes = [];
+
+    for (let i = 0; error && i < internals.maxCauseDepth; ++i) {
+        causes.push(error);
+        error = error.cause;
+    }
+
+    return causes;
+};
+
+
+// One key for all requests, when no key function is configured
+
+exports.defaultKey = () => '*';
@@ -0,0 +1,16 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+
+// Random version 4 UUID, crypto.randomUUID() is not available before Node.js 14.17
+
+exports.random = function () {
+
+    const bytes = Crypto.randomBytes(16);
+    bytes[6] = bytes[6] & 0x0f | 0x40; // Version 4
+    bytes[8] = bytes[8] & 0x3f | 0x80; // Variant 1
+
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
@@ -1,18 +1,29 @@
 'use strict';
 
+const Api = require('@opentelemetry/api');
+const AsyncHooks = require('@opentelemetry/context-async-hooks');
 const Axios = require('axios');
 const Boom = require('@hapi/boom');
 const Code = require('@hapi/code');
+const Events = require('events');
+const Fs = require('fs');
+const Got = require('got');
 const Hoek = require('@hapi/hoek');
 const Http = require('http');
 const Https = require('https');
 const Lab = require('@hapi/lab');
+const OpenTelemetry = require('@opentelemetry/sdk-trace-base');
+const Os = require('os');
+const Path = require('path');
 const Request = require('request-promise-native');
 const RequestRetry = require('..');
+const Stream = require('stream');
+const Telemetry = require('../lib/telemetry');
+const Testing = require('../testing');
 const Wreck = require('@hapi/wreck');
 
 const internals = {};
-const { describe, it } = exports.lab = Lab.script();
+const { after, before, describe, it } = exports.lab = Lab.script();
 const expect = Code.expect;
 
 describe('RequestRetry', { timeout: 10000 }, () => {
@@ -113,6 +124,244 @@ describe('RequestRetry', { timeout: 10000 }, () => {
             },
             expectedMessage: '"0" must be an integer'
         });
+
+        badConstructor({
+            options: {
+                idempotentMethods: [1]
+            },
+            expectedMessage: '"0" must be a string'
+        });
+
+        badConstructor({
+            options: {
+                backoff: null
+            },
+            expectedMessage: '"backoff" must be a Function'
+        });
+
+        badConstructor({
+            options: {
+                backoff: 'unknown'
+            },
+            expectedMessage: '"backoff" must be one of \\[exponential, linear, fixed, fullJitter, decorrelatedJitter\\]'
+        });
+
+        badConstructor({
+            options: {
+                backoff: {}
+            },
+            expectedMessage: '"strategy" is required'
+        });
+
+        badConstructor({
+            options: {
+                backoff: { strategy: 'fixed', factor: 2 }
+            },
+            expectedMessage: '"factor" is not allowed'
+        });
+
+        badConstructor({
+            options: {
+                backoff: { strategy: 'exponential', factor: 0.5 }
+            },
+            expectedMessage: '"factor" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                backoff: { strategy: 'linear', delayInMilliseconds: -1 }
+            },
+            expectedMessage: '"delayInMilliseconds" must be larger than or equal to 0'
+        });
+
+        badConstructor({
+            options: {
+                backoff: { strategy: 'linear', maxDelayInMilliseconds: 1.2 }
+            },
+            expectedMessage: '"maxDelayInMilliseconds" must be an integer'
+        });
+
+        badConstructor({
+            options: {
+                attemptTimeoutInMilliseconds: 0
+            },
+            expectedMessage: '"attemptTimeoutInMilliseconds" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                attemptTimeoutInMilliseconds: 1.2
+            },
+            expectedMessage: '"attemptTimeoutInMilliseconds" must be an integer'
+        });
+
+        badConstructor({
+            options: {
+                totalTimeoutInMilliseconds: 0
+            },
+            expectedMessage: '"totalTimeoutInMilliseconds" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                totalTimeoutInMilliseconds: 1.2
+            },
+            expectedMessage: '"totalTimeoutInMilliseconds" must be an integer'
+        });
+
+        badConstructor({
+            options: {
+                circuitBreaker: null
+            },
+            expectedMessage: '"circuitBreaker" must be an object'
+        });
+
+        badConstructor({
+            options: {
+                circuitBreaker: { failureThreshold: 0 }
+            },
+            expectedMessage: '"failureThreshold" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                circuitBreaker: { rollingWindowInMilliseconds: 0 }
+            },
+            expectedMessage: '"rollingWindowInMilliseconds" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                circuitBreaker: { cooldownInMilliseconds: -1 }
+            },
+            expectedMessage: '"cooldownInMilliseconds" must be larger than or equal to 0'
+        });
+
+        badConstructor({
+            options: {
+                circuitBreaker: { halfOpenProbes: 0 }
+            },
+            expectedMessage: '"halfOpenProbes" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                retryBudget: {}
+            },
+            expectedMessage: '"retryBudget" must be an instance of "RetryBudget"'
+        });
+
+        badConstructor({
+            options: {
+                shouldRetry: true
+            },
+            expectedMessage: '"shouldRetry" must be a Function'
+        });
+
+        badConstructor({
+            options: {
+                retryOnResult: true
+            },
+            expectedMessage: '"retryOnResult" must be a Function'
+        });
+
+        badConstructor({
+            options: {
+                adapters: [{ name: 'custom' }]
+            },
+            expectedMessage: '"normalize" is required'
+        });
+
+        badConstructor({
+            options: {
+                honorRetryAfter: null
+            },
+            expectedMessage: '"honorRetryAfter" must be a boolean'
+        });
+
+        badConstructor({
+            options: {
+                maxRetryAfterInMilliseconds: 1.2
+            },
+            expectedMessage: '"maxRetryAfterInMilliseconds" must be an integer'
+        });
+
+        badConstructor({
+            options: {
+                maxRetryAfterInMilliseconds: -1
+            },
+            expectedMessage: '"maxRetryAfterInMilliseconds" must be larger than or equal to 0'
+        });
+
+        badConstructor({
+            options: {
+                concurrency: {}
+            },
+            expectedMessage: '"maxInFlight" is required'
+        });
+
+        badConstructor({
+            options: {
+                aggregateErrors: 'yes'
+            },
+            expectedMessage: '"aggregateErrors" must be a boolean'
+        });
+
+        badConstructor({
+            options: {
+                telemetry: 'yes'
+            },
+            expectedMessage: '"telemetry" must be a boolean'
+        });
+
+        badConstructor({
+            options: {
+                cache: { maxEntries: 0 }
+            },
+            expectedMessage: '"maxEntries" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                endpointHealth: { failureThreshold: 0 }
+            },
+            expectedMessage: '"failureThreshold" must be larger than or equal to 1'
+        });
+
+        badConstructor({
+            options: {
+                adaptive: { minRetries: 3, maxRetries: 2 }
+            },
+            expectedMessage: '"maxRetries" must be larger than or equal to 3'
+        });
+
+        badConstructor({
+            options: {
+                retryRules: [{ action: 'retry' }]
+            },
+            expectedMessage: '"value" must contain at least one of \\[status, errorName, code, header, body\\]'
+        });
+
+        badConstructor({
+            options: {
+                retryRules: [{ status: '5xy' }]
+            },
+            expectedMessage: '"status" must be a number'
+        });
+
+        badConstructor({
+            options: {
+                retryRules: [{ header: { name: 'x-cache', value: 'MISS', pattern: '^MISS' } }]
+            },
+            expectedMessage: '"value" must not exist simultaneously with \\[pattern\\]'
+        });
+
+        badConstructor({
+            options: {
+                retryRules: [{ status: 503, action: 'skip' }]
+            },
+            expectedMessage: '"action" must be one of \\[retry, noRetry\\]'
+        });
     });
 
     describe('run', () => {
@@ -126,6 +375,33 @@ describe('RequestRetry', { timeout: 10000 }, () => {
             expect(error.message).to.equal('"value" must be a Function');
         });
 
+        it('rejects if options are invalid', async () => {
+
+            const retry = new RequestRetry();
+
+            const error = await expect(retry.run(() => {}, { signal: 1 })).to.reject();
+            expect(error.name).to.equal('ValidationError');
+            expect(error.message).to.equal('child "signal" fails because ["signal" must be an object]');
+        });
+
+        it('rejects if request method is invalid', async () => {
+
+            const retry = new RequestRetry();
+
+            const error = await expect(retry.run(() => {}, { request: { method: 1 } })).to.reject();
+            expect(error.name).to.equal('ValidationError');
+            expect(error.message).to.equal('child "request" fails because [child "method" fails because ["method" must be a string]]');
+        });
+
+        it('rejects if hedge options are invalid', async () => {
+
+            const retry = new RequestRetry();
+
+            const error = await expect(retry.run(() => {}, { hedge: { afterInMilliseconds: 10, maxHedged: 1 } })).to.reject();
+            expect(error.name).to.equal('ValidationError');
+            expect(error.message).to.equal('child "hedge" fails because [child "maxHedged" fails because ["maxHedged" must be larger than or equal to 2]]');
+        });
+
         it('does not retry if number of retries is 0', async () => {
 
             let failedAttemptCount = 0;
@@ -726,53 +1002,5339 @@ describe('RequestRetry', { timeout: 10000 }, () => {
             errorNotInDefaultRange({ errorCode: 512 });
         });
 
-        it('retries and returns data on retry event', async () => {
+        describe('backoff', () => {
 
-            let failedAttemptCount = 0;
-            const timer = new Hoek.Bench();
+            const backoff = (provider) => {
 
-            const retry = new RequestRetry();
-            retry.events.on('failedAttempt', (data) => {
+                it(`waits according to ${provider.description}`, async () => {
 
-                failedAttemptCount++;
-                expect(data.attemptNumber).to.equal(failedAttemptCount);
-                expect(data.retriesLeft).to.equal(3 - failedAttemptCount);
+                    const clock = new Testing.FakeClock();
+                    const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 50, backoff: provider.backoff });
+                    const requestFunc = Testing.script([Boom.badImplementation(), Boom.badImplementation(), Boom.badImplementation()], { clock });
+
+                    const random = Math.random;
+                    Math.random = () => 0.5;
+
+                    try {
+                        const rejected = expect(retry.run(requestFunc)).to.reject(Error);
+                        await clock.runAll();
+                        await rejected;
+                    }
+                    finally {
+                        Math.random = random;
+                    }
+
+                    Testing.assertCalls(requestFunc, 3);
+                    Testing.assertDelays(requestFunc, provider.delays);
+                });
+            };
+
+            backoff({
+                description: 'a named strategy',
+                backoff: 'fixed',
+                delays: [50, 50]
             });
 
-            const fn = () => {
+            backoff({
+                description: 'the exponential strategy',
+                backoff: { strategy: 'exponential', delayInMilliseconds: 20, factor: 5, maxDelayInMilliseconds: 80 },
+                delays: [20, 80]
+            });
 
-                throw Boom.badImplementation();
+            backoff({
+                description: 'the linear strategy',
+                backoff: { strategy: 'linear' },
+                delays: [50, 100]
+            });
+
+            backoff({
+                description: 'the fixed strategy',
+                backoff: { strategy: 'fixed', delayInMilliseconds: 80 },
+                delays: [80, 80]
+            });
+
+            backoff({
+                description: 'the full jitter strategy',
+                backoff: { strategy: 'fullJitter', delayInMilliseconds: 100, maxDelayInMilliseconds: 150 },
+                delays: [50, 75]
+            });
+
+            backoff({
+                description: 'the decorrelated jitter strategy',
+                backoff: { strategy: 'decorrelatedJitter', delayInMilliseconds: 100, maxDelayInMilliseconds: 300 },
+                delays: [200, 300]
+            });
+
+            backoff({
+                description: 'a custom function',
+                backoff: (attemptNumber, error) => {
+
+                    expect(error.output.statusCode).to.equal(500);
+                    return attemptNumber * 30;
+                },
+                delays: [30, 60]
+            });
+
+            const invalidBackoff = (provider) => {
+
+                it('rejects if custom function does not return a valid wait', async () => {
+
+                    const options = { backoff: () => provider.wait };
+                    const retry = new RequestRetry(options);
+
+                    const fn = () => {
+
+                        throw Boom.badImplementation();
+                    };
+
+                    await expect(retry.run(fn)).to.reject('Backoff function must return a non-negative number');
+                });
             };
 
-            await expect(retry.run(fn)).to.reject(Error);
-            expect(failedAttemptCount).to.equal(3);
-            expect(timer.elapsed()).to.be.between(3000, 4000);
+            invalidBackoff({ wait: -1 });
+            invalidBackoff({ wait: '100' });
+
+            it('waits the full time when the timer fires early', async () => {
+
+                const fake = new Testing.FakeClock();
+                const clock = {
+                    now: () => fake.now(),
+                    setTimeout: (callback, timeout) => fake.setTimeout(callback, Math.ceil(timeout / 2)),
+                    clearTimeout: (timer) => fake.clearTimeout(timer)
+                };
+
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 100 });
+                const requestFunc = Testing.script(['ECONNRESET', 200], { clock: fake });
+
+                const promise = retry.run(requestFunc);
+                await fake.runAll();
+
+                await promise;
+                expect(requestFunc.calls.map((call) => call.at)).to.equal([0, 100]);
+            });
         });
-    });
-});
 
-internals.getServer = function (handler) {
+        describe('timeouts', () => {
 
-    const server = Http.createServer(handler);
+            it('retries if attempt times out', async () => {
 
-    return new Promise((resolve) => {
+                let failedAttemptCount = 0;
 
-        server.listen(0, () => resolve(server));
-    });
-};
+                const clock = new Testing.FakeClock();
+                const options = { clock, waitBetweenFirstRetryInMilliseconds: 10, attemptTimeoutInMilliseconds: 50, retryNetworkErrorCodes: [] };
+                const retry = new RequestRetry(options);
+                retry.events.on('failedAttempt', () => failedAttemptCount++);
 
-internals.makeRequest = function (options) {
+                const hang = () => new Promise(Hoek.ignore);
+                const requestFunc = Testing.script([hang, hang, hang], { clock });
 
-    const reqOptions = {
-        port: options.port,
-        hostname: options.hostname
-    };
+                const rejected = expect(retry.run(requestFunc)).to.reject(RequestRetry.AttemptTimeoutError, 'Attempt timed out after 50 milliseconds');
+                await clock.runAll();
 
-    return new Promise((resolve, reject) => {
+                const error = await rejected;
+                expect(error.code).to.equal('EATTEMPTTIMEOUT');
+                expect(error.timeoutInMilliseconds).to.equal(50);
+                expect(failedAttemptCount).to.equal(3);
+                Testing.assertDelays(requestFunc, [60, 70]);
+                expect(clock.now()).to.equal(180);
+            });
 
-        const request = Http.request(reqOptions);
-        request.on('error', (err) => reject(err));
-        request.once('response', resolve);
-        request.end();
+            it('aborts the signal of the call when the attempt times out', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, attemptTimeoutInMilliseconds: 50 });
+
+                const signals = [];
+                const fn = (context) => {
+
+                    signals.push(context.signal);
+                    return new Promise(Hoek.ignore);
+                };
+
+                const rejected = expect(retry.run(fn)).to.reject(RequestRetry.AttemptTimeoutError);
+                await clock.runAll();
+                await rejected;
+
+                expect(signals).to.have.length(2);
+                expect(signals[0]).to.not.shallow.equal(signals[1]);
+                expect(signals.every((signal) => signal.aborted)).to.be.true();
+                expect(signals[0].reason).to.be.an.instanceof(RequestRetry.AttemptTimeoutError);
+            });
+
+            it('resolves if attempt does not time out', async () => {
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, attemptTimeoutInMilliseconds: 50, totalTimeoutInMilliseconds: 1000 };
+                const retry = new RequestRetry(options);
+
+                const fn = () => new Promise((resolve) => clock.setTimeout(() => resolve('ok'), 10));
+
+                const promise = retry.run(fn);
+                await clock.tick(10);
+
+                expect(await promise).to.equal('ok');
+                expect(clock.pendingTimers).to.equal(0);
+            });
+
+            it('does not start an attempt after the total timeout', async () => {
+
+                let failedAttemptCount = 0;
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, waitBetweenFirstRetryInMilliseconds: 100, totalTimeoutInMilliseconds: 250 };
+                const retry = new RequestRetry(options);
+                retry.events.on('failedAttempt', () => failedAttemptCount++);
+
+                const requestFunc = Testing.script([Boom.badImplementation(), Boom.badImplementation()], { clock });
+
+                const rejected = expect(retry.run(requestFunc)).to.reject(RequestRetry.DeadlineExceededError, 'Total timeout of 250 milliseconds exceeded: Internal Server Error');
+                await clock.runAll();
+
+                const error = await rejected;
+                expect(error.code).to.equal('EDEADLINEEXCEEDED');
+                expect(error.lastError.output.statusCode).to.equal(500);
+                expect(error.totalTimeoutInMilliseconds).to.equal(250);
+                expect(error.elapsedInMilliseconds).to.equal(100);
+                expect(error.attemptNumber).to.equal(2);
+                expect(failedAttemptCount).to.equal(2);
+                Testing.assertDelays(requestFunc, [100]);
+                expect(clock.now()).to.equal(100);
+            });
+
+            it('times out an attempt at the total timeout', async () => {
+
+                let failedAttemptCount = 0;
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, attemptTimeoutInMilliseconds: 500, totalTimeoutInMilliseconds: 100 };
+                const retry = new RequestRetry(options);
+                retry.events.on('failedAttempt', () => failedAttemptCount++);
+
+                const requestFunc = Testing.script([() => new Promise(Hoek.ignore)], { clock });
+
+                const rejected = expect(retry.run(requestFunc)).to.reject(RequestRetry.DeadlineExceededError);
+                await clock.runAll();
+
+                const error = await rejected;
+                expect(error.lastError).to.be.an.instanceof(RequestRetry.AttemptTimeoutError);
+                expect(error.attemptNumber).to.equal(1);
+                expect(failedAttemptCount).to.equal(1);
+                expect(clock.now()).to.equal(100);
+            });
+        });
+
+        describe('abort signal', () => {
+
+            it('passes signal to function', async () => {
+
+                const controller = internals.abortController();
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+
+                let attemptCount = 0;
+                const fn = (context) => {
+
+                    expect(context.signal.aborted).to.be.false();
+
+                    if (++attemptCount === 1) {
+                        throw Boom.badImplementation();
+                    }
+
+                    return 'ok';
+                };
+
+                expect(await retry.run(fn, { signal: controller.signal })).to.equal('ok');
+                expect(attemptCount).to.equal(2);
+            });
+
+            it('aborts the signal of the call when the run is aborted', async () => {
+
+                const controller = internals.abortController();
+                const retry = new RequestRetry();
+
+                let signal;
+                const fn = (context) => {
+
+                    signal = context.signal;
+                    setImmediate(() => controller.abort('gone'));
+                    return new Promise(Hoek.ignore);
+                };
+
+                await expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(signal.aborted).to.be.true();
+                expect(signal.reason).to.equal('gone');
+            });
+
+            it('does not call function if signal is already aborted', async () => {
+
+                const controller = internals.abortController();
+                controller.abort('gone');
+
+                let attemptCount = 0;
+                const retry = new RequestRetry();
+
+                const fn = () => {
+
+                    ++attemptCount;
+                };
+
+                const error = await expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError, 'The operation was aborted');
+                expect(error.code).to.equal('ABORT_ERR');
+                expect(error.reason).to.equal('gone');
+                expect(attemptCount).to.equal(0);
+            });
+
+            it('rejects if aborted during attempt', async () => {
+
+                const controller = internals.abortController();
+                const clock = new Testing.FakeClock();
+
+                let failedAttemptCount = 0;
+                const retry = new RequestRetry({ clock, attemptTimeoutInMilliseconds: 1000 });
+                retry.events.on('failedAttempt', () => failedAttemptCount++);
+
+                const fn = () => new Promise((resolve) => clock.setTimeout(resolve, 500));
+
+                clock.setTimeout(() => controller.abort(), 50);
+
+                const rejected = expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                await clock.tick(50);
+                await rejected;
+
+                expect(failedAttemptCount).to.equal(0);
+            });
+
+            it('rejects if aborted during wait', async () => {
+
+                const controller = internals.abortController();
+                const clock = new Testing.FakeClock();
+
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 5000 });
+                const requestFunc = Testing.script([Boom.badImplementation()], { clock });
+
+                clock.setTimeout(() => controller.abort(), 50);
+
+                const rejected = expect(retry.run(requestFunc, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                await clock.tick(50);
+                await rejected;
+
+                Testing.assertCalls(requestFunc, 1);
+            });
+
+            it('rejects if aborted before wait', async () => {
+
+                const controller = internals.abortController();
+
+                let attemptCount = 0;
+                const retry = new RequestRetry();
+                retry.events.on('failedAttempt', () => controller.abort());
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(attemptCount).to.equal(1);
+            });
+        });
+
+        describe('circuit breaker', () => {
+
+            const failing = () => {
+
+                throw Boom.badImplementation();
+            };
+
+            const succeeding = () => 'ok';
+
+            const openCircuit = async (retry) => {
+
+                await expect(retry.run(failing)).to.reject(Error, 'Internal Server Error');
+            };
+
+            it('opens after failure threshold and fails fast', async () => {
+
+                const events = [];
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 2, cooldownInMilliseconds: 1000 } };
+                const retry = new RequestRetry(options);
+                retry.events.on('circuitOpen', (data) => events.push(data));
+
+                await openCircuit(retry);
+                expect(events).to.have.length(0);
+
+                await openCircuit(retry);
+                expect(events).to.equal([{ cooldownInMilliseconds: 1000 }]);
+
+                let attemptCount = 0;
+                const fn = () => {
+
+                    ++attemptCount;
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError, 'Circuit is open');
+                expect(error.code).to.equal('ECIRCUITOPEN');
+                expect(error.retryAfterInMilliseconds).to.equal(1000);
+                expect(attemptCount).to.equal(0);
+            });
+
+            it('stops retrying once circuit opens', async () => {
+
+                let attemptCount = 0;
+                const options = { numberOfRetries: 3, waitBetweenFirstRetryInMilliseconds: 10, circuitBreaker: { failureThreshold: 2 } };
+                const retry = new RequestRetry(options);
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+                expect(attemptCount).to.equal(2);
+            });
+
+            it('forgets failures outside the rolling window', async () => {
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 2, rollingWindowInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+
+                await openCircuit(retry);
+                await clock.tick(50);
+                await openCircuit(retry);
+
+                expect(await retry.run(succeeding)).to.equal('ok');
+            });
+
+            it('opens once if concurrent attempts fail', async () => {
+
+                let openCount = 0;
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 } };
+                const retry = new RequestRetry(options);
+                retry.events.on('circuitOpen', () => openCount++);
+
+                const fn = () => new Promise((resolve, reject) => clock.setTimeout(() => reject(Boom.badImplementation()), 10));
+
+                const rejected = Promise.all([
+                    expect(retry.run(fn)).to.reject(Error, 'Internal Server Error'),
+                    expect(retry.run(fn)).to.reject(Error, 'Internal Server Error')
+                ]);
+
+                await clock.tick(10);
+                await rejected;
+
+                expect(openCount).to.equal(1);
+            });
+
+            it('closes if half-open probe succeeds', async () => {
+
+                const events = [];
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+                ['circuitOpen', 'circuitHalfOpen', 'circuitClose'].forEach((event) => retry.events.on(event, () => events.push(event)));
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                expect(await retry.run(succeeding)).to.equal('ok');
+                expect(events).to.equal(['circuitOpen', 'circuitHalfOpen', 'circuitClose']);
+
+                await openCircuit(retry);
+                expect(events).to.equal(['circuitOpen', 'circuitHalfOpen', 'circuitClose', 'circuitOpen']);
+            });
+
+            it('closes if half-open probe fails with non-retryable error', async () => {
+
+                const events = [];
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+                retry.events.on('circuitClose', () => events.push('circuitClose'));
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                const fn = () => {
+
+                    throw Boom.notFound();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Not Found');
+                expect(events).to.equal(['circuitClose']);
+            });
+
+            it('opens again if half-open probe fails', async () => {
+
+                const events = [];
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+                ['circuitOpen', 'circuitHalfOpen', 'circuitClose'].forEach((event) => retry.events.on(event, () => events.push(event)));
+
+                await openCircuit(retry);
+                await clock.tick(50);
+                await openCircuit(retry);
+
+                expect(events).to.equal(['circuitOpen', 'circuitHalfOpen', 'circuitOpen']);
+                await expect(retry.run(succeeding)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('counts failures of requests that are not retried', async () => {
+
+                const options = { numberOfRetries: 3, circuitBreaker: { failureThreshold: 2 } };
+                const retry = new RequestRetry(options);
+                const post = { request: { method: 'POST', url: 'http://a.test/path' } };
+
+                let attemptCount = 0;
+                const fn = () => {
+
+                    ++attemptCount;
+                    return failing();
+                };
+
+                await expect(retry.run(fn, post)).to.reject(Error, 'Internal Server Error');
+                await expect(retry.run(fn, post)).to.reject(Error, 'Internal Server Error');
+                expect(attemptCount).to.equal(2);
+                await expect(retry.run(succeeding, post)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('counts failures the shouldRetry option does not retry', async () => {
+
+                const shouldRetry = () => false;
+                const retry = new RequestRetry({ shouldRetry, circuitBreaker: { failureThreshold: 1 } });
+
+                await openCircuit(retry);
+                await expect(retry.run(succeeding)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('opens again if half-open probe fails with a request that is not retried', async () => {
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                await expect(retry.run(failing, { request: { method: 'POST' } })).to.reject(Error, 'Internal Server Error');
+                await expect(retry.run(succeeding)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('releases the half-open probe if a hook throws', async () => {
+
+                const retryOnResult = () => {
+
+                    throw new Error('Bad decision');
+                };
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, retryOnResult, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50, halfOpenProbes: 1 } };
+                const retry = new RequestRetry(options);
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                await expect(retry.run(succeeding)).to.reject(Error, 'Bad decision');
+                await expect(retry.run(succeeding, { hedge: { afterInMilliseconds: 10 } })).to.reject(Error, 'Bad decision');
+                await expect(retry.run(failing)).to.reject(Error, 'Internal Server Error');           // Still half-open, the probe fails
+                await expect(retry.run(succeeding)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('limits number of half-open probes', async () => {
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50, halfOpenProbes: 1 } };
+                const retry = new RequestRetry(options);
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                const fn = () => new Promise((resolve) => clock.setTimeout(() => resolve('ok'), 20));
+
+                const probe = retry.run(fn);
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+                expect(error.retryAfterInMilliseconds).to.equal(0);
+
+                await clock.tick(20);
+                expect(await probe).to.equal('ok');
+
+                const closed = retry.run(fn);
+                await clock.tick(20);
+                expect(await closed).to.equal('ok');
+            });
+
+            it('lets another probe through if half-open probe is aborted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const options = { clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 50 } };
+                const retry = new RequestRetry(options);
+
+                const controller = internals.abortController();
+                controller.abort();
+
+                await expect(retry.run(succeeding, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+
+                await openCircuit(retry);
+                await clock.tick(50);
+
+                await expect(retry.run(succeeding, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(await retry.run(succeeding)).to.equal('ok');
+            });
+        });
+
+        describe('retry budget', () => {
+
+            const badBudget = (provider) => {
+
+                it('throws error if bad budget options are given', () => {
+
+                    const fn = () => {
+
+                        new RequestRetry.RetryBudget(provider.options);
+                    };
+
+                    expect(fn).to.throw(new RegExp(provider.expectedMessage));
+                });
+            };
+
+            badBudget({
+                options: { retryRatio: 1.2 },
+                expectedMessage: '"retryRatio" must be less than or equal to 1'
+            });
+
+            badBudget({
+                options: { minRetriesPerSecond: -1 },
+                expectedMessage: '"minRetriesPerSecond" must be larger than or equal to 0'
+            });
+
+            badBudget({
+                options: { maxTokens: 0 },
+                expectedMessage: '"maxTokens" must be larger than or equal to 1'
+            });
+
+            it('stops retrying across instances once budget is exhausted', async () => {
+
+                const budget = new RequestRetry.RetryBudget({ retryRatio: 0, minRetriesPerSecond: 0, maxTokens: 2 });
+                const options = { waitBetweenFirstRetryInMilliseconds: 10, retryBudget: budget };
+
+                let attemptCount = 0;
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                const first = new RequestRetry(options);
+                const firstError = await expect(first.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(firstError.retryBudgetExhausted).to.not.exist();
+                expect(attemptCount).to.equal(3);
+
+                const second = new RequestRetry(options);
+                const secondError = await expect(second.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(secondError.retryBudgetExhausted).to.be.true();
+                expect(attemptCount).to.equal(4);
+                expect(budget.balance).to.equal(0);
+            });
+
+            it('deposits tokens for every call', () => {
+
+                const budget = new RequestRetry.RetryBudget({ retryRatio: 0.5, minRetriesPerSecond: 0, maxTokens: 1 });
+
+                expect(budget.withdraw()).to.be.true();
+                expect(budget.withdraw()).to.be.false();
+
+                budget.deposit();
+                expect(budget.withdraw()).to.be.false();
+
+                budget.deposit();
+                expect(budget.withdraw()).to.be.true();
+            });
+
+            it('refills tokens every second', async () => {
+
+                const clock = new Testing.FakeClock();
+                const budget = new RequestRetry.RetryBudget({ clock, retryRatio: 0, minRetriesPerSecond: 100, maxTokens: 1 });
+
+                expect(budget.withdraw()).to.be.true();
+                expect(budget.withdraw()).to.be.false();
+
+                await clock.tick(10);
+                expect(budget.balance).to.equal(1);
+                expect(budget.withdraw()).to.be.true();
+            });
+        });
+
+        describe('retry conditions', () => {
+
+            it('retries if custom condition says so', async () => {
+
+                const calls = [];
+                const shouldRetry = (error, attempt) => {
+
+                    calls.push([error.output.statusCode, attempt]);
+                    return true;
+                };
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, shouldRetry });
+
+                const fn = () => {
+
+                    throw Boom.notFound();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Not Found');
+                expect(calls).to.equal([
+                    [404, { attemptNumber: 1, retriesLeft: 2 }],
+                    [404, { attemptNumber: 2, retriesLeft: 1 }],
+                    [404, { attemptNumber: 3, retriesLeft: 0 }]
+                ]);
+            });
+
+            it('does not retry if asynchronous custom condition says so', async () => {
+
+                let attemptCount = 0;
+                const shouldRetry = async () => {
+
+                    await Hoek.wait(1);
+                    return false;
+                };
+
+                const retry = new RequestRetry({ shouldRetry });
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(attemptCount).to.equal(1);
+            });
+
+            it('falls back to default classification if custom condition is undecided', async () => {
+
+                let attemptCount = 0;
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, shouldRetry: () => undefined });
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(attemptCount).to.equal(3);
+            });
+
+            it('does not consult custom condition if error is not a real error', async () => {
+
+                let conditionCount = 0;
+                const shouldRetry = () => {
+
+                    ++conditionCount;
+                    return true;
+                };
+
+                const retry = new RequestRetry({ shouldRetry });
+
+                const fn = () => {
+
+                    throw { a: 'b' };
+                };
+
+                await expect(retry.run(fn)).to.reject();
+                expect(conditionCount).to.equal(0);
+            });
+
+            it('retries on result', async () => {
+
+                const failedAttempts = [];
+                const retryOnResult = (result) => result.status === 'pending';
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryOnResult });
+                retry.events.on('failedAttempt', (data) => failedAttempts.push(data));
+
+                let attemptCount = 0;
+                const fn = () => {
+
+                    return { status: ++attemptCount < 3 ? 'pending' : 'done' };
+                };
+
+                expect(await retry.run(fn)).to.equal({ status: 'done' });
+                expect(failedAttempts).to.have.length(2);
+                expect(failedAttempts[0]).to.include({ result: { status: 'pending' }, attemptNumber: 1, retriesLeft: 2 });
+                expect(failedAttempts[1]).to.include({ result: { status: 'pending' }, attemptNumber: 2, retriesLeft: 1 });
+            });
+
+            it('resolves with last result if retries on result run out', async () => {
+
+                let attemptCount = 0;
+                const retryOnResult = async () => {
+
+                    await Hoek.wait(1);
+                    return true;
+                };
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryOnResult });
+
+                const fn = () => ++attemptCount;
+
+                expect(await retry.run(fn)).to.equal(3);
+            });
+
+            it('lets custom condition decide on result', async () => {
+
+                let attemptCount = 0;
+                const shouldRetry = (result) => {
+
+                    if (result === 'pending') {
+                        return true;
+                    }
+                };
+
+                const retryOnResult = (result) => result === 'fine';
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, shouldRetry, retryOnResult });
+
+                const fn = () => {
+
+                    return ++attemptCount === 1 ? 'pending' : 'done';
+                };
+
+                expect(await retry.run(fn)).to.equal('done');
+                expect(attemptCount).to.equal(2);
+            });
+
+            it('resolves with last result at total timeout', async () => {
+
+                let attemptCount = 0;
+                const options = { waitBetweenFirstRetryInMilliseconds: 100, totalTimeoutInMilliseconds: 50, retryOnResult: () => true };
+                const retry = new RequestRetry(options);
+
+                const fn = () => ++attemptCount;
+
+                expect(await retry.run(fn)).to.equal(1);
+            });
+
+            it('resolves with last result if retry budget is exhausted', async () => {
+
+                const retryBudget = new RequestRetry.RetryBudget({ retryRatio: 0, minRetriesPerSecond: 0, maxTokens: 1 });
+
+                let attemptCount = 0;
+                const options = { waitBetweenFirstRetryInMilliseconds: 10, retryBudget, retryOnResult: () => true };
+                const retry = new RequestRetry(options);
+
+                const fn = () => ++attemptCount;
+
+                expect(await retry.run(fn)).to.equal(2);
+            });
+        });
+
+        describe('adapters', () => {
+
+            const adapter = (provider) => {
+
+                it(provider.description, async () => {
+
+                    let attemptCount = 0;
+
+                    const options = Object.assign({ waitBetweenFirstRetryInMilliseconds: 10 }, provider.options);
+                    const retry = new RequestRetry(options);
+
+                    const handler = (request, response) => {
+
+                        response.writeHead(provider.statusCode || 503, { 'Retry-After': '0' });
+                        response.end();
+                    };
+
+                    const server = await internals.getServer(handler);
+                    const baseUrl = 'http://localhost:' + server.address().port;
+                    const unknownUrl = 'http://localhost:' + (server.address().port + 1);
+
+                    const fn = () => {
+
+                        ++attemptCount;
+                        return provider.request(baseUrl, unknownUrl);
+                    };
+
+                    if (provider.rejects) {
+                        await expect(retry.run(fn)).to.reject(provider.rejects);
+                    }
+                    else {
+                        provider.check(await retry.run(fn));
+                    }
+
+                    expect(attemptCount).to.equal(provider.attemptCount);
+
+                    server.close();
+                });
+            };
+
+            adapter({
+                description: 'retries fetch response with retryable status',
+                request: () => internals.fetchResponse(503, { 'Retry-After': '0' }),
+                check: (response) => expect(response.status).to.equal(503),
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'does not retry fetch response with successful status',
+                request: () => internals.fetchResponse(200),
+                check: (response) => expect(response.status).to.equal(200),
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'retries fetch network error',
+                request: () => {
+
+                    const error = new TypeError('fetch failed');
+                    error.cause = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+                    throw error;
+                },
+                rejects: 'fetch failed',
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries fetch socket error of undici',
+                request: () => {
+
+                    const error = new TypeError('fetch failed');
+                    error.cause = Object.assign(new Error('other side closed'), { code: 'UND_ERR_SOCKET' });
+                    throw error;
+                },
+                rejects: 'fetch failed',
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries fetch network error deeper in the causes',
+                request: () => {
+
+                    const error = new TypeError('fetch failed');
+                    error.cause = new Error('connect failed');
+                    error.cause.cause = Object.assign(new Error('connect ETIMEDOUT'), { code: 'UND_ERR_CONNECT_TIMEOUT' });
+                    throw error;
+                },
+                rejects: 'fetch failed',
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'does not retry fetch error without code',
+                request: () => {
+
+                    const error = new TypeError('fetch failed');
+                    error.cause = new Error('unknown');
+                    throw error;
+                },
+                rejects: 'fetch failed',
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'does not retry fetch error with circular causes',
+                request: () => {
+
+                    const error = new TypeError('fetch failed');
+                    error.cause = new Error('unknown');
+                    error.cause.cause = error.cause;
+                    throw error;
+                },
+                rejects: 'fetch failed',
+                attemptCount: 1
+            });
+
+            it('retries global fetch when the server resets the connection', { skip: !global.fetch }, async () => {
+
+                let requestCount = 0;
+                const handler = (request, response) => {
+
+                    if (++requestCount === 1) {
+                        request.socket.destroy();
+                        return;
+                    }
+
+                    response.end('ok');
+                };
+
+                const server = await internals.getServer(handler);
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const failures = [];
+                retry.events.on('failedAttempt', (error) => failures.push(error.classification));
+
+                const response = await retry.fetch('http://localhost:' + server.address().port);
+                expect(await response.text()).to.equal('ok');
+                expect(requestCount).to.equal(2);
+                expect(failures).to.equal(['networkError']);
+
+                server.close();
+            });
+
+            adapter({
+                description: 'does not retry fetch type error',
+                request: () => {
+
+                    throw new TypeError('Failed to parse URL');
+                },
+                rejects: 'Failed to parse URL',
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'retries got HTTP error',
+                request: (url) => Got(url, { retry: 0 }),
+                rejects: 'Response code 503 (Service Unavailable)',
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries got network error',
+                request: (url, unknownUrl) => Got(unknownUrl, { retry: 0 }),
+                rejects: /ECONNREFUSED/,
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries got response with retryable status',
+                request: (url) => Got(url, { retry: 0, throwHttpErrors: false }),
+                check: (response) => expect(response.statusCode).to.equal(503),
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries axios network error',
+                request: (url, unknownUrl) => Axios.get(unknownUrl),
+                rejects: /ECONNREFUSED/,
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries axios response with retryable status',
+                request: (url) => Axios.get(url, { validateStatus: () => true }),
+                check: (response) => expect(response.status).to.equal(503),
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'does not retry axios response with successful status',
+                statusCode: 200,
+                request: (url) => Axios.get(url),
+                check: (response) => expect(response.status).to.equal(200),
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'retries Wreck network error',
+                options: { retryHttpErrorCodes: [] },
+                request: (url, unknownUrl) => Wreck.get(unknownUrl),
+                rejects: /ECONNREFUSED/,
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'does not retry Wreck response with successful status',
+                statusCode: 200,
+                request: (url) => Wreck.get(url),
+                check: (response) => expect(response.res.statusCode).to.equal(200),
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'retries Wreck raw response with retryable status',
+                request: (url) => Wreck.request('GET', url),
+                check: (response) => expect(response.statusCode).to.equal(503),
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries request network error',
+                request: (url, unknownUrl) => Request(unknownUrl),
+                rejects: /ECONNREFUSED/,
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries request full response with retryable status',
+                request: (url) => Request(url, { resolveWithFullResponse: true, simple: false }),
+                check: (response) => expect(response.statusCode).to.equal(503),
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'does not retry request error without cause',
+                request: () => {
+
+                    const error = new Error('Bad');
+                    error.name = 'RequestError';
+                    throw error;
+                },
+                rejects: 'Bad',
+                attemptCount: 1
+            });
+
+            adapter({
+                description: 'retries with custom adapter',
+                options: {
+                    adapters: [{
+                        name: 'custom',
+                        normalize: (value, isError) => {
+
+                            if (isError && value.message === 'Busy') {
+                                return { retryable: true };
+                            }
+
+                            return null;
+                        }
+                    }]
+                },
+                request: () => {
+
+                    throw new Error('Busy');
+                },
+                rejects: 'Busy',
+                attemptCount: 3
+            });
+
+            adapter({
+                description: 'retries with custom adapter normalizing status code',
+                options: {
+                    adapters: [{
+                        name: 'custom',
+                        normalize: (value, isError) => {
+
+                            if (!isError) {
+                                return { statusCode: value.code };
+                            }
+                        }
+                    }]
+                },
+                request: () => ({ code: 502 }),
+                check: (response) => expect(response.code).to.equal(502),
+                attemptCount: 3
+            });
+
+            it('does not retry results of unknown shape', async () => {
+
+                const results = [
+                    null,
+                    { status: 503 },
+                    { status: 503, headers: {} },
+                    { config: {}, status: '503' },
+                    { res: { statusCode: 503 } },
+                    { statusCode: 503, headers: '503' }
+                ];
+
+                for (const result of results) {
+                    let attemptCount = 0;
+                    const retry = new RequestRetry();
+
+                    const fn = () => {
+
+                        ++attemptCount;
+                        return result;
+                    };
+
+                    expect(await retry.run(fn)).to.equal(result);
+                    expect(attemptCount).to.equal(1);
+                }
+            });
+
+            it('exposes built-in adapters', () => {
+
+                expect(RequestRetry.adapters.builtIn.map((item) => item.name)).to.equal(['fetch', 'got', 'axios', 'wreck', 'request']);
+            });
+        });
+
+        describe('idempotency', () => {
+
+            const idempotency = (provider) => {
+
+                it(provider.description, async () => {
+
+                    const contexts = [];
+                    const options = Object.assign({ waitBetweenFirstRetryInMilliseconds: 10 }, provider.options);
+                    const retry = new RequestRetry(options);
+
+                    const fn = (context) => {
+
+                        contexts.push(context);
+                        throw Boom.badImplementation();
+                    };
+
+                    await expect(retry.run(fn, provider.runOptions)).to.reject(Error, 'Internal Server Error');
+                    expect(contexts).to.have.length(provider.attemptCount);
+
+                    const keys = contexts.map((context) => context.idempotencyKey);
+                    expect(new Set(keys).size).to.equal(1);
+
+                    if (provider.idempotencyKey) {
+                        expect(keys[0]).to.match(provider.idempotencyKey);
+                    }
+                    else {
+                        expect(keys[0]).to.be.undefined();
+                    }
+                });
+            };
+
+            idempotency({
+                description: 'retries idempotent method',
+                runOptions: { request: { method: 'get', url: 'http://localhost/' } },
+                attemptCount: 3
+            });
+
+            idempotency({
+                description: 'retries if method is unknown',
+                runOptions: { request: { url: 'http://localhost/' } },
+                attemptCount: 3
+            });
+
+            idempotency({
+                description: 'does not retry non-idempotent method',
+                runOptions: { request: { method: 'POST' } },
+                attemptCount: 1
+            });
+
+            idempotency({
+                description: 'does not retry method that is not configured as idempotent',
+                options: { idempotentMethods: ['get'] },
+                runOptions: { request: { method: 'PUT' } },
+                attemptCount: 1
+            });
+
+            idempotency({
+                description: 'retries non-idempotent method with generated idempotency key',
+                runOptions: { request: { method: 'POST' }, idempotencyKey: true },
+                attemptCount: 3,
+                idempotencyKey: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+            });
+
+            idempotency({
+                description: 'retries non-idempotent method with given idempotency key',
+                runOptions: { request: { method: 'POST' }, idempotencyKey: 'order-123' },
+                attemptCount: 3,
+                idempotencyKey: /^order-123$/
+            });
+
+            idempotency({
+                description: 'does not retry non-idempotent method without idempotency key',
+                runOptions: { request: { method: 'POST' }, idempotencyKey: false },
+                attemptCount: 1
+            });
+
+            idempotency({
+                description: 'lets custom condition retry non-idempotent method',
+                options: { shouldRetry: (error) => error.output.statusCode === 500 },
+                runOptions: { request: { method: 'POST' } },
+                attemptCount: 3
+            });
+        });
+
+        describe('attempt context', () => {
+
+            it('passes context to function', async () => {
+
+                const controller = internals.abortController();
+                const contexts = [];
+                const errors = [];
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 50 });
+
+                const fn = (context) => {
+
+                    contexts.push(Object.assign({}, context, { metadata: Object.assign({}, context.metadata) }));
+
+                    context.metadata.host = 'mirror';
+                    context.metadata.count = (context.metadata.count || 0) + 1;
+
+                    const error = Boom.badImplementation();
+                    errors.push(error);
+                    throw error;
+                };
+
+                const rejected = expect(retry.run(fn, { signal: controller.signal })).to.reject(Error, 'Internal Server Error');
+                await clock.runAll();
+                await rejected;
+
+                expect(contexts).to.have.length(3);
+                expect(contexts.map((context) => context.attemptNumber)).to.equal([1, 2, 3]);
+                expect(contexts.map((context) => context.retriesLeft)).to.equal([2, 1, 0]);
+                expect(contexts[0].previousError).to.be.undefined();
+                expect(contexts[1].previousError).to.shallow.equal(errors[0]);
+                expect(contexts[2].previousError).to.shallow.equal(errors[1]);
+                expect(contexts.map((context) => context.elapsedInMilliseconds)).to.equal([0, 50, 150]);
+                expect(contexts[2].signal.aborted).to.be.false();
+                expect(contexts[0].metadata).to.equal({});
+                expect(contexts[2].metadata).to.equal({ host: 'mirror', count: 2 });
+            });
+
+            it('passes context on failed attempt event', async () => {
+
+                const contexts = [];
+                const failedAttempts = [];
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryOnResult: (result) => result === 'pending' });
+                retry.events.on('failedAttempt', (data) => failedAttempts.push(data));
+
+                const fn = (context) => {
+
+                    contexts.push(context);
+
+                    if (context.attemptNumber === 1) {
+                        throw Boom.badImplementation();
+                    }
+
+                    return context.attemptNumber === 2 ? 'pending' : 'done';
+                };
+
+                expect(await retry.run(fn)).to.equal('done');
+                expect(failedAttempts).to.have.length(2);
+                expect(failedAttempts[0].context).to.shallow.equal(contexts[0]);
+                expect(failedAttempts[1].context).to.shallow.equal(contexts[1]);
+                expect(contexts[2].previousError).to.be.undefined();
+            });
+        });
+
+        describe('lifecycle events', () => {
+
+            it('emits events of a successful retry', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 10 });
+                const events = internals.recordEvents(retry);
+
+                const fn = (context) => {
+
+                    if (context.attemptNumber === 1) {
+                        throw Boom.serverUnavailable();
+                    }
+
+                    return 'ok';
+                };
+
+                const promise = retry.run(fn);
+                await clock.runAll();
+
+                expect(await promise).to.equal('ok');
+                expect(events.map((event) => event.name)).to.equal(['attemptStart', 'failedAttempt', 'retryScheduled', 'attemptStart', 'attemptSuccess', 'success']);
+
+                expect(events[0].data.attemptNumber).to.equal(1);
+                expect(events[1].data).to.include({ attemptNumber: 1, retriesLeft: 2, classification: 'httpError', waitInMilliseconds: 10 });
+                expect(events[2].data).to.include({ waitInMilliseconds: 10, nextAttemptNumber: 2 });
+                expect(events[3].data.attemptNumber).to.equal(2);
+                expect(events[4].data.result).to.equal('ok');
+                expect(events[4].data.durationInMilliseconds).to.equal(0);
+                expect(events[4].data.context.attemptNumber).to.equal(2);
+                expect(events[5].data).to.include({ result: 'ok', attempts: 2 });
+                expect(events[5].data.elapsedInMilliseconds).to.equal(10);
+            });
+
+            it('emits give up event if retries run out', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10 });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(events.map((event) => event.name)).to.equal(['attemptStart', 'failedAttempt', 'retryScheduled', 'attemptStart', 'failedAttempt', 'giveUp']);
+                expect(events[4].data.waitInMilliseconds).to.be.null();
+                expect(events[5].data).to.include({ reason: 'exhausted', classification: 'httpError', attempts: 2, error });
+            });
+
+            it('emits give up event if error is not retryable', async () => {
+
+                const retry = new RequestRetry();
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    throw Boom.notFound();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(Error, 'Not Found');
+                expect(events.map((event) => event.name)).to.equal(['attemptStart', 'giveUp']);
+                expect(events[1].data).to.include({ reason: 'nonRetryable', classification: 'notRetryable', attempts: 1, error });
+            });
+
+            it('emits give up event if aborted during wait', async () => {
+
+                const controller = internals.abortController();
+                const retry = new RequestRetry();
+                const events = internals.recordEvents(retry);
+                retry.events.on('retryScheduled', () => controller.abort());
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(events.map((event) => event.name)).to.equal(['attemptStart', 'failedAttempt', 'retryScheduled', 'giveUp']);
+                expect(events[3].data).to.include({ reason: 'aborted', attempts: 1, error });
+            });
+
+            it('emits give up event if aborted during attempt', async () => {
+
+                const controller = internals.abortController();
+                const retry = new RequestRetry();
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    controller.abort();
+                    return Hoek.wait(10);
+                };
+
+                await expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(events[1].data).to.include({ reason: 'aborted', classification: 'aborted', attempts: 1 });
+            });
+
+            it('emits give up event at total timeout', async () => {
+
+                const retry = new RequestRetry({ totalTimeoutInMilliseconds: 500 });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.DeadlineExceededError);
+                expect(events[1].data.waitInMilliseconds).to.be.null();
+                expect(events[1].data).to.shallow.equal(error.lastError);
+                expect(events[2].data).to.include({ reason: 'deadline', attempts: 1, error });
+            });
+
+            it('emits give up event if retry budget is exhausted', async () => {
+
+                const retryBudget = new RequestRetry.RetryBudget({ retryRatio: 0, minRetriesPerSecond: 0, maxTokens: 1 });
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryBudget });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(events.map((event) => event.name)).to.equal(['attemptStart', 'failedAttempt', 'retryScheduled', 'attemptStart', 'failedAttempt', 'giveUp']);
+                expect(events[5].data).to.include({ reason: 'budget', attempts: 2 });
+            });
+
+            it('emits give up event if circuit is open', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+
+                const events = internals.recordEvents(retry);
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+                expect(events.map((event) => event.name)).to.equal(['giveUp']);
+                expect(events[0].data).to.include({ reason: 'circuitOpen', attempts: 0, error });
+            });
+
+            const classification = (provider) => {
+
+                it(`classifies failed attempt as ${provider.classification}`, async () => {
+
+                    const retry = new RequestRetry(Object.assign({ numberOfRetries: 0 }, provider.options));
+                    const events = internals.recordEvents(retry);
+
+                    await provider.run(retry).catch(Hoek.ignore);
+
+                    const last = events[events.length - 1];
+                    expect(last.data.classification).to.equal(provider.classification);
+                });
+            };
+
+            classification({
+                classification: 'networkError',
+                run: (retry) => retry.run(() => internals.makeRequest({ port: 1, hostname: 'localhost' }))
+            });
+
+            classification({
+                classification: 'httpError',
+                run: (retry) => retry.run(() => Promise.reject(Object.assign(new Error(), { code: 500 })))
+            });
+
+            classification({
+                classification: 'networkError',
+                run: (retry) => retry.run(() => Axios.get('http://localhost:1/'))
+            });
+
+            classification({
+                classification: 'attemptTimeout',
+                options: { attemptTimeoutInMilliseconds: 10 },
+                run: (retry) => retry.run(() => Hoek.wait(50))
+            });
+
+            classification({
+                classification: 'retryOnResult',
+                options: { retryOnResult: () => true },
+                run: (retry) => retry.run(() => 'pending')
+            });
+
+            classification({
+                classification: 'shouldRetry',
+                options: { shouldRetry: () => false },
+                run: (retry) => retry.run(() => Promise.reject(new Error()))
+            });
+
+            classification({
+                classification: 'notIdempotent',
+                run: (retry) => retry.run(() => Promise.reject(Boom.badImplementation()), { request: { method: 'POST' } })
+            });
+
+            classification({
+                classification: 'notAnError',
+                run: (retry) => retry.run(() => Promise.reject('Bad'))
+            });
+
+            classification({
+                classification: 'adapter',
+                options: { adapters: [{ name: 'custom', normalize: () => ({ retryable: true }) }] },
+                run: (retry) => retry.run(() => Promise.reject(new Error()))
+            });
+
+            classification({
+                classification: 'notRetryable',
+                options: { adapters: [{ name: 'custom', normalize: () => ({ retryable: false }) }] },
+                run: (retry) => retry.run(() => Promise.reject(Boom.badImplementation()))
+            });
+        });
+
+        describe('aggregated errors', () => {
+
+            it('rejects with thrown values that are not objects', async () => {
+
+                const retry = new RequestRetry({ aggregateErrors: true });
+                const reasons = [];
+                retry.events.on('giveUp', (data) => reasons.push([data.reason, data.classification, data.error]));
+
+                const thrown = await expect(retry.run(() => {
+
+                    throw 'boom';
+                })).to.reject();
+
+                expect(thrown).to.equal('boom');
+
+                const rejections = [];
+                await retry.run(() => Promise.reject(null)).catch((err) => rejections.push(err));
+                expect(rejections).to.equal([null]);
+                expect(reasons).to.equal([['nonRetryable', 'notAnError', 'boom'], ['nonRetryable', 'notAnError', null]]);
+            });
+
+            it('rejects with the attempt history', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, aggregateErrors: true });
+                const errors = [
+                    Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }),
+                    Object.assign(new Error('reset'), { code: 'ECONNRESET' }),
+                    Boom.serverUnavailable()
+                ];
+
+                const fn = (context) => {
+
+                    throw errors[context.attemptNumber - 1];
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.RetryError);
+                expect(error).to.be.an.error(Error, 'Service Unavailable');
+                expect(Boom.isBoom(error)).to.be.true();
+                expect(error.output.statusCode).to.equal(503);
+                expect(error.lastError).to.shallow.equal(errors[2]);
+                expect(error.reason).to.equal('exhausted');
+                expect(error.totalElapsedInMilliseconds).to.be.at.least(30);
+
+                expect(error.attempts).to.have.length(3);
+                expect(error.attempts.map((attempt) => attempt.error)).to.equal(errors);
+                expect(error.attempts.map((attempt) => attempt.classification)).to.equal(['networkError', 'networkError', 'httpError']);
+                expect(error.attempts.map((attempt) => attempt.delayBeforeNextInMilliseconds)).to.equal([10, 20, null]);
+                expect(error.attempts[0].startedAt).to.be.a.number();
+                expect(error.attempts[1].startedAt).to.be.at.least(error.attempts[0].startedAt + 10);
+                expect(error.attempts[0].durationInMilliseconds).to.be.a.number();
+            });
+
+            it('rejects with the attempt history if error is not retryable', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, aggregateErrors: true });
+                const errors = [Boom.badGateway(), Boom.notFound()];
+
+                const fn = (context) => {
+
+                    throw errors[context.attemptNumber - 1];
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.RetryError);
+                expect(error.output.statusCode).to.equal(404);
+                expect(error.reason).to.equal('nonRetryable');
+                expect(error.attempts.map((attempt) => attempt.classification)).to.equal(['httpError', 'notRetryable']);
+            });
+
+            it('rejects with the attempt history if total timeout is exceeded', async () => {
+
+                const retry = new RequestRetry({ totalTimeoutInMilliseconds: 500, aggregateErrors: true });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.DeadlineExceededError);
+                expect(error).to.be.an.instanceof(RequestRetry.RetryError);
+                expect(error.reason).to.equal('deadline');
+                expect(error.attempts).to.have.length(1);
+                expect(error.attempts[0].error.output.statusCode).to.equal(500);
+            });
+
+            it('rejects with an empty attempt history if circuit is open', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 }, aggregateErrors: true });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(RequestRetry.RetryError);
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+                expect(error.reason).to.equal('circuitOpen');
+                expect(error.attempts).to.equal([]);
+            });
+
+            it('passes the aggregated error to give up event', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0, aggregateErrors: true });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.RetryError);
+                expect(events[2].data.error).to.shallow.equal(error);
+            });
+
+            it('resolves with the last result', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10, retryOnResult: () => true, aggregateErrors: true });
+
+                const result = await retry.run(() => 'pending');
+                expect(result).to.equal('pending');
+            });
+
+            it('rejects with the last error by default', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0 });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                const error = await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(error).to.not.be.an.instanceof(RequestRetry.RetryError);
+                expect(error.attempts).to.not.exist();
+                expect(null instanceof RequestRetry.RetryError).to.be.false();
+            });
+        });
+
+        describe('telemetry', () => {
+
+            before(() => {
+
+                Api.context.setGlobalContextManager(new AsyncHooks.AsyncHooksContextManager().enable());
+            });
+
+            after(() => {
+
+                Api.context.disable();
+            });
+
+            it('creates a span per run and per attempt', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, telemetry: telemetry.options });
+                const activeSpanIds = [];
+
+                const fn = (context) => {
+
+                    activeSpanIds.push(Api.trace.getSpan(Api.context.active()).spanContext().spanId);
+
+                    if (context.attemptNumber === 1) {
+                        throw Boom.serverUnavailable();
+                    }
+
+                    return 'ok';
+                };
+
+                const parent = telemetry.tracerProvider.getTracer('test').startSpan('parent');
+                const result = await Api.context.with(Api.trace.setSpan(Api.context.active(), parent), () => retry.run(fn));
+                expect(result).to.equal('ok');
+
+                const [first, second, run] = telemetry.exporter.getFinishedSpans();
+                expect(run.name).to.equal('request-retry run');
+                expect(run.parentSpanId).to.equal(parent.spanContext().spanId);
+                expect(run.attributes).to.equal({ 'request_retry.attempts': 2 });
+                expect(run.status.code).to.equal(Api.SpanStatusCode.UNSET);
+
+                expect(first.name).to.equal('request-retry attempt');
+                expect(first.parentSpanId).to.equal(run.spanContext().spanId);
+                expect(first.attributes).to.equal({
+                    'request_retry.attempt_number': 1,
+                    'request_retry.backoff_delay_ms': 10,
+                    'request_retry.classification': 'httpError',
+                    'http.status_code': 503
+                });
+                expect(first.status).to.equal({ code: Api.SpanStatusCode.ERROR, message: 'Service Unavailable' });
+                expect(first.events[0].name).to.equal('exception');
+
+                expect(second.parentSpanId).to.equal(run.spanContext().spanId);
+                expect(second.attributes).to.equal({ 'request_retry.attempt_number': 2 });
+                expect(second.status.code).to.equal(Api.SpanStatusCode.UNSET);
+
+                expect(activeSpanIds).to.equal([first.spanContext().spanId, second.spanContext().spanId]);
+            });
+
+            it('records give up on run span', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10, telemetry: telemetry.options });
+
+                const fn = () => {
+
+                    throw Boom.badGateway();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Bad Gateway');
+
+                const [first, second, run] = telemetry.exporter.getFinishedSpans();
+                expect(run.attributes).to.equal({ 'request_retry.attempts': 2, 'request_retry.give_up_reason': 'exhausted' });
+                expect(run.status).to.equal({ code: Api.SpanStatusCode.ERROR, message: 'Bad Gateway' });
+                expect(first.attributes['request_retry.backoff_delay_ms']).to.equal(10);
+                expect(second.attributes['request_retry.backoff_delay_ms']).to.not.exist();
+                expect(second.attributes['http.status_code']).to.equal(502);
+            });
+
+            it('records attempt that is not retried', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ telemetry: telemetry.options });
+
+                const fn = () => {
+
+                    throw Boom.notFound();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Not Found');
+
+                const [attempt, run] = telemetry.exporter.getFinishedSpans();
+                expect(attempt.attributes).to.equal({ 'request_retry.attempt_number': 1, 'request_retry.classification': 'notRetryable', 'http.status_code': 404 });
+                expect(attempt.status.code).to.equal(Api.SpanStatusCode.ERROR);
+                expect(run.attributes).to.equal({ 'request_retry.attempts': 1, 'request_retry.give_up_reason': 'nonRetryable' });
+            });
+
+            it('records thrown value that is not an error', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ telemetry: telemetry.options });
+
+                await expect(retry.run(() => Promise.reject('Bad'))).to.reject();
+
+                const [attempt, run] = telemetry.exporter.getFinishedSpans();
+                expect(attempt.attributes).to.equal({ 'request_retry.attempt_number': 1, 'request_retry.classification': 'notAnError' });
+                expect(attempt.status).to.equal({ code: Api.SpanStatusCode.ERROR, message: 'Non-error thrown: Bad' });
+                expect(run.status).to.equal({ code: Api.SpanStatusCode.ERROR, message: 'Non-error thrown: Bad' });
+            });
+
+            it('records retried results', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10, telemetry: telemetry.options });
+
+                const result = await retry.run(() => internals.fetchResponse(503));
+                expect(result.status).to.equal(503);
+
+                const [first, second, run] = telemetry.exporter.getFinishedSpans();
+                expect(first.attributes).to.equal({
+                    'request_retry.attempt_number': 1,
+                    'request_retry.backoff_delay_ms': 10,
+                    'request_retry.classification': 'httpError',
+                    'http.status_code': 503
+                });
+                expect(first.status.code).to.equal(Api.SpanStatusCode.UNSET);
+                expect(second.attributes['http.status_code']).to.equal(503);
+                expect(run.attributes).to.equal({ 'request_retry.attempts': 2, 'request_retry.give_up_reason': 'exhausted' });
+                expect(run.status.code).to.equal(Api.SpanStatusCode.UNSET);
+            });
+
+            it('records run span if circuit is open', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 }, telemetry: telemetry.options });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                telemetry.exporter.reset();
+
+                await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+
+                const spans = telemetry.exporter.getFinishedSpans();
+                expect(spans).to.have.length(1);
+                expect(spans[0].attributes).to.equal({ 'request_retry.attempts': 0, 'request_retry.give_up_reason': 'circuitOpen' });
+            });
+
+            it('records metrics', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, telemetry: telemetry.options });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                await retry.run(() => 'ok');
+
+                const measurements = (name) => telemetry.measurements.filter((measurement) => measurement.name === name);
+
+                expect(measurements('request_retry.attempts')).to.have.length(4);
+                expect(measurements('request_retry.retries')).to.have.length(2);
+                expect(measurements('request_retry.give_ups')).to.equal([{ name: 'request_retry.give_ups', value: 1, attributes: { 'request_retry.give_up_reason': 'exhausted' } }]);
+
+                const durations = measurements('request_retry.duration');
+                expect(durations.map((duration) => duration.attributes)).to.equal([{ 'request_retry.outcome': 'giveUp' }, { 'request_retry.outcome': 'success' }]);
+                expect(durations[0].value).to.be.at.least(30);
+            });
+
+            it('uses the global providers by default', async () => {
+
+                const retry = new RequestRetry();
+
+                const fn = () => {
+
+                    expect(Api.trace.getSpan(Api.context.active()).isRecording()).to.be.false();
+                    return 'ok';
+                };
+
+                expect(await retry.run(fn)).to.equal('ok');
+            });
+
+            it('does not instrument if disabled', async () => {
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ telemetry: false });
+
+                const fn = () => {
+
+                    expect(Api.trace.getSpan(Api.context.active())).to.not.exist();
+                    return 'ok';
+                };
+
+                expect(await retry.run(fn)).to.equal('ok');
+                expect(telemetry.exporter.getFinishedSpans()).to.equal([]);
+            });
+
+            it('does not instrument if OpenTelemetry is not installed', async () => {
+
+                const api = Telemetry.api;
+                Telemetry.api = null;
+
+                const telemetry = internals.telemetry();
+                const retry = new RequestRetry({ telemetry: telemetry.options });
+                Telemetry.api = api;
+
+                expect(await retry.run(() => 'ok')).to.equal('ok');
+                expect(telemetry.exporter.getFinishedSpans()).to.equal([]);
+                expect(telemetry.measurements).to.equal([]);
+            });
+        });
+
+        describe('hedging', () => {
+
+            it('starts another call if the first one is slow', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const hedges = [];
+                retry.events.on('hedge', (context) => hedges.push(context.hedgeNumber));
+
+                const signals = [];
+                const fn = async (context) => {
+
+                    signals.push(context.signal);
+
+                    if (context.hedgeNumber === 1) {
+                        await internals.wait(clock, 200);
+                        return 'slow';
+                    }
+
+                    return 'fast';
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 20 } });
+                await clock.tick(20);
+
+                expect(await promise).to.equal('fast');
+                expect(hedges).to.equal([2]);
+                expect(signals[0].aborted).to.be.true();    // The call that lost is cancelled
+                expect(signals[1].aborted).to.be.false();
+            });
+
+            it('lets the winning call read its body', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+
+                const fn = async (context) => {
+
+                    if (context.hedgeNumber === 1) {
+                        await internals.wait(clock, 200);
+                    }
+
+                    const { signal } = context;
+                    return {
+                        json: () => {
+
+                            return new Promise((resolve, reject) => {
+
+                                clock.setTimeout(() => {
+
+                                    if (signal.aborted) {
+                                        return reject(new Error('Body aborted'));
+                                    }
+
+                                    resolve({ hedgeNumber: context.hedgeNumber });
+                                }, 10);
+                            });
+                        }
+                    };
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 20 } });
+                await clock.tick(20);
+
+                const body = (await promise).json();
+                await clock.tick(10);
+                expect(await body).to.equal({ hedgeNumber: 2 });
+            });
+
+            it('lets the winning fetch read its body', { skip: !global.fetch }, async () => {
+
+                let requestCount = 0;
+                const handler = (request, response) => {
+
+                    if (++requestCount === 1) {
+                        setTimeout(() => response.end('{"slow":true}'), 200);
+                        return;
+                    }
+
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.write('{"fast":');
+                    setTimeout(() => response.end('true}'), 20);
+                };
+
+                const server = await internals.getServer(handler);
+                const url = 'http://localhost:' + server.address().port;
+                const retry = new RequestRetry();
+
+                const response = await retry.run((context) => global.fetch(url, { signal: context.signal }), { hedge: { afterInMilliseconds: 20 } });
+                expect(await response.json()).to.equal({ fast: true });
+
+                server.close();
+            });
+
+            it('starts up to maxHedged calls', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const hedges = [];
+                retry.events.on('hedge', (context) => hedges.push(context.hedgeNumber));
+
+                const fn = async (context) => {
+
+                    await internals.wait(clock, context.hedgeNumber === 3 ? 10 : 200);
+                    return context.hedgeNumber;
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 10, maxHedged: 3 } });
+                await clock.tick(30);
+                expect(await promise).to.equal(3);
+
+                await clock.runAll();
+                expect(hedges).to.equal([2, 3]);
+            });
+
+            it('does not start another call if the first one is fast', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                    return 'ok';
+                };
+
+                expect(await retry.run(fn, { hedge: { afterInMilliseconds: 10 } })).to.equal('ok');
+                expect(clock.pendingTimers).to.equal(0);
+                expect(callCount).to.equal(1);
+            });
+
+            it('waits for other calls if a call fails with a retryable error', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const failedAttempts = [];
+                retry.events.on('failedAttempt', (err) => failedAttempts.push(err));
+
+                const fn = async (context) => {
+
+                    if (context.hedgeNumber === 1) {
+                        await internals.wait(clock, 30);
+                        throw Boom.serverUnavailable();
+                    }
+
+                    await internals.wait(clock, 50);
+                    return 'ok';
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 10 } });
+                await clock.tick(60);
+
+                expect(await promise).to.equal('ok');
+                expect(failedAttempts).to.equal([]);
+            });
+
+            it('retries if all calls fail with a retryable error', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 10 });
+                const failedAttempts = [];
+                retry.events.on('failedAttempt', (err) => failedAttempts.push(err.message));
+
+                const calls = [];
+
+                const fn = async (context) => {
+
+                    calls.push([context.attemptNumber, context.hedgeNumber, clock.now()]);
+
+                    if (context.attemptNumber === 1) {
+                        await internals.wait(clock, context.hedgeNumber === 1 ? 20 : 30);
+                        throw Object.assign(new Error(`Failed ${context.hedgeNumber}`), { code: 'ECONNRESET' });
+                    }
+
+                    return 'ok';
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 10 } });
+                await clock.runAll();
+
+                expect(await promise).to.equal('ok');
+                expect(calls).to.equal([[1, 1, 0], [1, 2, 10], [2, 1, 50]]);
+                expect(failedAttempts).to.equal(['Failed 2']);
+            });
+
+            it('rejects if a call fails with an error that is not retryable', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+
+                const signals = [];
+                const fn = async (context) => {
+
+                    signals.push(context.signal);
+
+                    if (context.hedgeNumber === 1) {
+                        await internals.wait(clock, 200);
+                        return 'slow';
+                    }
+
+                    throw Boom.notFound();
+                };
+
+                const rejected = expect(retry.run(fn, { hedge: { afterInMilliseconds: 10 } })).to.reject(Error, 'Not Found');
+                await clock.tick(10);
+                await rejected;
+                expect(signals[0].aborted).to.be.true();
+            });
+
+            it('does not hedge non-idempotent requests', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+
+                let callCount = 0;
+                const fn = async (context) => {
+
+                    ++callCount;
+                    await internals.wait(clock, 30);
+                    return context.hedgeNumber;
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 10 }, request: { method: 'POST' } });
+                await clock.runAll();
+
+                expect(await promise).to.not.exist();
+                expect(callCount).to.equal(1);
+            });
+
+            it('cancels all calls if aborted', async () => {
+
+                const controller = internals.abortController();
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+
+                const signals = [];
+                const fn = async (context) => {
+
+                    signals.push(context.signal);
+
+                    if (context.hedgeNumber === 2) {
+                        controller.abort();
+                    }
+
+                    await internals.wait(clock, 200);
+                    return 'ok';
+                };
+
+                const rejected = expect(retry.run(fn, { signal: controller.signal, hedge: { afterInMilliseconds: 10, maxHedged: 3 } })).to.reject(RequestRetry.AbortError);
+                await clock.tick(10);
+                await rejected;
+
+                await clock.runAll();
+                expect(signals).to.have.length(2);
+                expect(signals.every((signal) => signal.aborted)).to.be.true();
+            });
+
+            it('does not call requestFunc if already aborted', async () => {
+
+                const controller = internals.abortController();
+                controller.abort();
+
+                const retry = new RequestRetry();
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                };
+
+                await expect(retry.run(fn, { signal: controller.signal, hedge: { afterInMilliseconds: 10 } })).to.reject(RequestRetry.AbortError);
+                expect(callCount).to.equal(0);
+            });
+
+            it('rejects if shouldRetry throws', async () => {
+
+                const shouldRetry = () => {
+
+                    throw new Error('Bad decision');
+                };
+
+                const retry = new RequestRetry({ shouldRetry });
+
+                await expect(retry.run(() => Promise.reject(new Error()), { hedge: { afterInMilliseconds: 10 } })).to.reject(Error, 'Bad decision');
+            });
+
+            it('ignores errors of calls that lost', async () => {
+
+                const clock = new Testing.FakeClock();
+
+                const shouldRetry = async (errorOrResult) => {
+
+                    if (errorOrResult instanceof Error) {
+                        await internals.wait(clock, 30);
+                        throw new Error('Bad decision');
+                    }
+                };
+
+                const retry = new RequestRetry({ clock, shouldRetry });
+
+                const fn = async (context) => {
+
+                    await internals.wait(clock, 10);
+
+                    if (context.hedgeNumber === 1) {
+                        throw new Error();
+                    }
+
+                    return 'ok';
+                };
+
+                const promise = retry.run(fn, { hedge: { afterInMilliseconds: 5 } });
+                await clock.tick(15);
+                expect(await promise).to.equal('ok');
+
+                await clock.runAll();                   // The decision on the call that lost throws
+            });
+        });
+
+        describe('concurrency', () => {
+
+            it('limits attempts in flight', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, concurrency: { maxInFlight: 2 } });
+                expect(retry.queueStats).to.equal({ inFlight: 0, queueDepth: 0, acquired: 0, queued: 0, averageWaitInMilliseconds: 0, maxWaitInMilliseconds: 0, keys: {} });
+
+                let inFlight = 0;
+                let maxInFlight = 0;
+                const fn = async () => {
+
+                    maxInFlight = Math.max(maxInFlight, ++inFlight);
+                    await internals.wait(clock, 50);
+                    --inFlight;
+                    return 'ok';
+                };
+
+                const runs = [retry.run(fn), retry.run(fn), retry.run(fn), retry.run(fn)];
+
+                await clock.tick(10);
+                expect(retry.queueStats).to.include({ inFlight: 2, queueDepth: 2, keys: { '*': { inFlight: 2, queueDepth: 2 } } });
+
+                await clock.runAll();
+                expect(await Promise.all(runs)).to.equal(['ok', 'ok', 'ok', 'ok']);
+                expect(maxInFlight).to.equal(2);
+
+                expect(retry.queueStats).to.equal({ inFlight: 0, queueDepth: 0, acquired: 4, queued: 2, averageWaitInMilliseconds: 25, maxWaitInMilliseconds: 50, keys: {} });
+            });
+
+            it('holds the slot until a timed out call settles', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, attemptTimeoutInMilliseconds: 20, waitBetweenFirstRetryInMilliseconds: 10, concurrency: { maxInFlight: 1 } });
+
+                let inFlight = 0;
+                let maxInFlight = 0;
+                const starts = [];
+                const fn = () => {
+
+                    starts.push(clock.now());
+                    maxInFlight = Math.max(maxInFlight, ++inFlight);
+
+                    return new Promise((resolve) => {
+
+                        clock.setTimeout(() => {
+
+                            --inFlight;
+                            resolve('late');
+                        }, 200);
+                    });
+                };
+
+                const runs = Promise.all([retry.run(fn), retry.run(fn)].map((run) => expect(run).to.reject(RequestRetry.AttemptTimeoutError)));
+                await clock.runAll();
+                await runs;
+
+                expect(maxInFlight).to.equal(1);
+                expect(starts).to.equal([0, 200, 400, 600]);
+                expect(retry.queueStats).to.include({ inFlight: 0, queueDepth: 0 });
+            });
+
+            it('frees the slot once a timed out call is aborted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, attemptTimeoutInMilliseconds: 20, concurrency: { maxInFlight: 1 } });
+
+                const starts = [];
+                const fn = (context) => {
+
+                    starts.push(clock.now());
+
+                    return new Promise((resolve, reject) => {
+
+                        context.signal.addEventListener('abort', () => reject(context.signal.reason));
+                    });
+                };
+
+                const runs = Promise.all([retry.run(fn), retry.run(fn)].map((run) => expect(run).to.reject(RequestRetry.AttemptTimeoutError)));
+                await clock.runAll();
+                await runs;
+
+                expect(starts).to.equal([0, 20]);
+            });
+
+            it('gives up at the deadline while queued', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, totalTimeoutInMilliseconds: 1000, concurrency: { maxInFlight: 1, queueTimeoutInMilliseconds: 5000 } });
+                const reasons = [];
+                retry.events.on('giveUp', (data) => reasons.push(data.reason));
+
+                const slow = () => new Promise((resolve) => clock.setTimeout(() => resolve('late'), 2000));
+                const running = expect(retry.run(Testing.script([slow], { clock }))).to.reject(RequestRetry.AttemptTimeoutError);
+
+                const queued = Testing.script([200], { clock });
+                const rejection = expect(retry.run(queued)).to.reject(RequestRetry.DeadlineExceededError, 'Total timeout of 1000 milliseconds exceeded');
+
+                await clock.tick(1000);
+                await running;
+
+                const error = await rejection;
+                expect(error).to.include({ lastError: undefined, elapsedInMilliseconds: 1000, attemptNumber: 0 });
+                expect(reasons.sort()).to.equal(['deadline', 'exhausted']);
+                Testing.assertCalls(queued, 0);
+
+                await clock.runAll();
+                expect(retry.queueStats).to.include({ inFlight: 0, queueDepth: 0 });
+            });
+
+            it('releases the half-open probe when giving up at the deadline while queued', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 100, halfOpenProbes: 2 }, concurrency: { maxInFlight: 1 } });
+
+                await expect(retry.run(Testing.script([503], { clock }))).to.reject(Error, 'Response error 503');
+                await clock.tick(100);
+
+                const slow = () => new Promise((resolve) => clock.setTimeout(() => resolve('ok'), 900));
+                const running = retry.run(Testing.script([slow], { clock }));
+
+                const rejection = expect(retry.run(Testing.script([200], { clock }), { totalTimeoutInMilliseconds: 500 })).to.reject(RequestRetry.DeadlineExceededError);
+                await clock.tick(500);
+                await rejection;
+
+                const probe = retry.run(Testing.script([200], { clock }));         // Takes the probe given back
+                await clock.runAll();
+
+                expect(await running).to.equal('ok');
+                expect(await probe).to.include({ statusCode: 200 });
+            });
+
+            it('limits attempts in flight per key', async () => {
+
+                const key = (request) => new URL(request.url).host;
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, concurrency: { maxInFlight: 1, key } });
+
+                const fn = () => internals.wait(clock, 50);
+                const request = (host) => ({ request: { url: `http://${host}/path` } });
+
+                const runs = [retry.run(fn, request('a.test')), retry.run(fn, request('a.test')), retry.run(fn, request('b.test'))];
+
+                await clock.tick(10);
+                expect(retry.queueStats.keys).to.equal({ 'a.test': { inFlight: 1, queueDepth: 1 }, 'b.test': { inFlight: 1, queueDepth: 0 } });
+
+                await clock.runAll();
+                await Promise.all(runs);
+                expect(retry.queueStats.queued).to.equal(1);
+            });
+
+            it('queues retries behind first attempts', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 10, concurrency: { maxInFlight: 1 } });
+
+                const calls = [];
+                const fn = (name, duration) => {
+
+                    return async (context) => {
+
+                        calls.push(`${name}${context.attemptNumber}@${clock.now()}`);
+                        await internals.wait(clock, duration);
+
+                        if (name === 'a' &&
+                            context.attemptNumber === 1) {
+
+                            throw Boom.serverUnavailable();
+                        }
+                    };
+                };
+
+                const runs = [retry.run(fn('a', 20)), retry.run(fn('b', 30))];
+
+                await clock.tick(40);                   // The retry of a is queued
+                runs.push(retry.run(fn('c', 10)));
+
+                await clock.runAll();
+                await Promise.all(runs);
+                expect(calls).to.equal(['a1@0', 'b1@20', 'c1@50', 'a2@60']);
+            });
+
+            it('rejects if queue is full', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, circuitBreaker: {}, concurrency: { maxInFlight: 1, maxQueueSize: 1 } });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => internals.wait(clock, 30);
+                const runs = [retry.run(fn), retry.run(fn)];
+
+                const error = await expect(retry.run(fn)).to.reject(RequestRetry.QueueFullError, 'Queue of 1 waiting attempts is full');
+                expect(error.code).to.equal('EQUEUEFULL');
+                expect(error.maxQueueSize).to.equal(1);
+                expect(events.find((event) => event.name === 'giveUp').data).to.include({ reason: 'queueFull', attempts: 0, error });
+
+                await clock.runAll();
+                await Promise.all(runs);
+                expect(retry.queueStats.inFlight).to.equal(0);
+            });
+
+            it('rejects if attempt waits too long in queue', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, concurrency: { maxInFlight: 1, queueTimeoutInMilliseconds: 20 } });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => internals.wait(clock, 50);
+                const first = retry.run(fn);
+
+                const rejected = expect(retry.run(fn)).to.reject(RequestRetry.QueueTimeoutError, 'Attempt waited in queue for more than 20 milliseconds');
+                await clock.tick(20);
+
+                const error = await rejected;
+                expect(error.code).to.equal('EQUEUETIMEOUT');
+                expect(error.timeoutInMilliseconds).to.equal(20);
+                expect(events.find((event) => event.name === 'giveUp').data.reason).to.equal('queueTimeout');
+                expect(retry.queueStats.queueDepth).to.equal(0);
+
+                await clock.runAll();
+                await first;
+            });
+
+            it('rejects if aborted while queued', async () => {
+
+                const controller = internals.abortController();
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, concurrency: { maxInFlight: 1, queueTimeoutInMilliseconds: 100 } });
+                const events = internals.recordEvents(retry);
+
+                const fn = () => internals.wait(clock, 50);
+                const first = retry.run(fn);
+
+                clock.setTimeout(() => controller.abort(), 10);
+                const rejected = expect(retry.run(fn, { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                await clock.tick(10);
+                await rejected;
+
+                expect(events.find((event) => event.name === 'giveUp').data.reason).to.equal('aborted');
+                expect(retry.queueStats.queueDepth).to.equal(0);
+
+                await clock.runAll();
+                await first;
+            });
+
+            it('rejects if already aborted', async () => {
+
+                const controller = internals.abortController();
+                controller.abort();
+
+                const retry = new RequestRetry({ concurrency: { maxInFlight: 1 } });
+
+                await expect(retry.run(() => 'ok', { signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                expect(retry.queueStats.acquired).to.equal(0);
+            });
+
+            it('does not hedge beyond the limit', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, concurrency: { maxInFlight: 2 } });
+                const hedges = [];
+                retry.events.on('hedge', (context) => hedges.push(context.hedgeNumber));
+
+                const fn = async (context) => {
+
+                    await internals.wait(clock, context.hedgeNumber === 1 ? 100 : 10);
+                    return context.hedgeNumber;
+                };
+
+                const runs = [retry.run(fn, { hedge: { afterInMilliseconds: 10, maxHedged: 3 } })];
+                await clock.tick(20);
+
+                expect(await runs[0]).to.equal(2);
+                expect(hedges).to.equal([2]);           // The third call had no slot
+                expect(retry.queueStats.inFlight).to.equal(1);          // The call that lost holds its slot until it settles
+
+                await clock.tick(80);
+                expect(retry.queueStats.inFlight).to.equal(0);
+            });
+
+            it('releases the slot if shouldRetry throws', async () => {
+
+                const shouldRetry = () => {
+
+                    throw new Error('Bad decision');
+                };
+
+                const retry = new RequestRetry({ shouldRetry, concurrency: { maxInFlight: 1 } });
+
+                await expect(retry.run(() => Promise.reject(new Error()))).to.reject(Error, 'Bad decision');
+                await expect(retry.run(() => Promise.reject(new Error()), { hedge: { afterInMilliseconds: 10 } })).to.reject(Error, 'Bad decision');
+                expect(retry.queueStats.inFlight).to.equal(0);
+            });
+
+            it('has no stats without concurrency limit', () => {
+
+                const retry = new RequestRetry();
+                expect(retry.queueStats).to.be.null();
+            });
+        });
+
+        describe('rate limits', () => {
+
+            it('retries 429 responses', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+
+                const fn = (context) => internals.fetchResponse(context.attemptNumber === 1 ? 429 : 200);
+
+                const response = await retry.run(fn);
+                expect(response.status).to.equal(200);
+            });
+
+            const rateLimitReset = (provider) => {
+
+                it(`waits ${provider.description}`, async () => {
+
+                    const clock = new Testing.FakeClock(1700000000000);
+                    const retry = new RequestRetry({ clock, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10 });
+                    const waits = [];
+                    retry.events.on('retryScheduled', (data) => waits.push(data.waitInMilliseconds));
+
+                    const promise = retry.run(() => internals.fetchResponse(provider.status, { 'X-RateLimit-Reset': provider.reset(clock.now()) }));
+                    await clock.runAll();
+
+                    await promise;
+                    expect(waits).to.equal([provider.wait]);
+                });
+            };
+
+            rateLimitReset({
+                description: 'the number of seconds in the X-RateLimit-Reset header',
+                status: 429,
+                reset: () => '1',
+                wait: 1000
+            });
+
+            rateLimitReset({
+                description: 'until the timestamp in the X-RateLimit-Reset header',
+                status: 429,
+                reset: (now) => String(now / 1000 + 1),
+                wait: 1000
+            });
+
+            rateLimitReset({
+                description: 'no time if the timestamp in the X-RateLimit-Reset header has passed',
+                status: 429,
+                reset: (now) => String(now / 1000 - 10),
+                wait: 0
+            });
+
+            rateLimitReset({
+                description: 'the regular wait if the X-RateLimit-Reset header is invalid',
+                status: 429,
+                reset: () => 'soon',
+                wait: 10
+            });
+
+            rateLimitReset({
+                description: 'the regular wait if the X-RateLimit-Reset header is not sent with 429',
+                status: 503,
+                reset: () => '1',
+                wait: 10
+            });
+
+            it('pauses other calls to the host until the rate limit resets', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, maxRetryAfterInMilliseconds: 100 });
+                const events = [];
+                retry.events.on('cooldownStart', (data) => events.push(['cooldownStart', data]));
+                retry.events.on('cooldownEnd', (data) => events.push(['cooldownEnd', data]));
+
+                const starts = {};
+                const fn = (name, status) => {
+
+                    return (context) => {
+
+                        starts[`${name}${context.attemptNumber}`] = clock.now();
+                        return internals.fetchResponse(context.attemptNumber === 1 ? status : 200, { 'Retry-After': '1' });
+                    };
+                };
+
+                const request = (host) => ({ request: { url: `http://${host}/path` } });
+
+                const first = retry.run(fn('a', 429), request('a.test'));
+                await clock.tick(20);
+
+                const runs = Promise.all([
+                    first,
+                    retry.run(fn('b', 200), Object.assign(request('a.test'), { signal: internals.abortController().signal })),
+                    retry.run(fn('c', 200), request('other.test'))
+                ]);
+
+                await clock.runAll();
+                await runs;
+
+                expect(starts).to.equal({ a1: 0, c1: 20, a2: 100, b1: 100 });
+                expect(events).to.equal([
+                    ['cooldownStart', { key: 'a.test', cooldownInMilliseconds: 100 }],
+                    ['cooldownEnd', { key: 'a.test' }]
+                ]);
+            });
+
+            it('extends the pause if the rate limit resets later', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, maxRetryAfterInMilliseconds: 100 });
+                const events = [];
+                retry.events.on('cooldownStart', () => events.push('cooldownStart'));
+                retry.events.on('cooldownEnd', () => events.push('cooldownEnd'));
+
+                const fn = (delay, retryAfter) => {
+
+                    return async () => {
+
+                        await internals.wait(clock, delay);
+                        return internals.fetchResponse(429, { 'Retry-After': retryAfter });
+                    };
+                };
+
+                const options = { request: { url: 'http://a.test/path' } };
+                const runs = [retry.run(fn(10, '1'), options), retry.run(fn(40, '1'), options), retry.run(fn(50, '0'), options)];
+
+                await clock.tick(60);
+                const last = retry.run(() => clock.now(), options);
+                await clock.runAll();
+
+                expect(await last).to.equal(140);
+                expect(events).to.equal(['cooldownStart', 'cooldownEnd']);
+
+                await Promise.all(runs);
+            });
+
+            it('rejects if aborted while paused', async () => {
+
+                const controller = internals.abortController();
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, maxRetryAfterInMilliseconds: 50 });
+                const events = internals.recordEvents(retry);
+
+                const request = { url: 'http://a.test/path' };
+                await retry.run(() => internals.fetchResponse(429, { 'Retry-After': '1' }), { request });
+
+                clock.setTimeout(() => controller.abort(), 10);
+                const rejected = expect(retry.run(() => 'ok', { request, signal: controller.signal })).to.reject(RequestRetry.AbortError);
+                await clock.tick(10);
+
+                const error = await rejected;
+                expect(events[events.length - 1].data).to.include({ reason: 'aborted', attempts: 0, error });
+
+                controller.abort();
+                await expect(retry.run(() => 'ok', { request, signal: controller.signal })).to.reject(RequestRetry.AbortError);
+
+                await clock.runAll();
+            });
+
+            const host = (provider) => {
+
+                it(`pauses calls to ${provider.description}`, async () => {
+
+                    const clock = new Testing.FakeClock();
+                    const retry = new RequestRetry({ clock, numberOfRetries: 0, maxRetryAfterInMilliseconds: 10 });
+                    const keys = [];
+                    retry.events.on('cooldownStart', (data) => keys.push(data.key));
+
+                    await retry.run(() => internals.fetchResponse(429, { 'Retry-After': '1' }), provider.options);
+                    expect(keys).to.equal(provider.keys);
+                    await clock.runAll();
+                });
+            };
+
+            host({
+                description: 'the host of the request URI',
+                options: { request: { uri: 'http://a.test:8080/path' } },
+                keys: ['a.test:8080']
+            });
+
+            host({
+                description: 'no host if the request URL is relative',
+                options: { request: { url: '/path' } },
+                keys: []
+            });
+
+            host({
+                description: 'no host without request',
+                options: {},
+                keys: []
+            });
+
+            it('does not pause calls without host', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, maxRetryAfterInMilliseconds: 1000 });
+
+                const first = retry.run((context) => internals.fetchResponse(context.attemptNumber === 1 ? 429 : 200, { 'Retry-After': '1' }), { request: { url: '/path' } });
+
+                expect(await retry.run(() => clock.now())).to.equal(0);
+
+                await clock.runAll();
+                await first;
+            });
+
+            it('gives up at once if the pause outlasts the total timeout', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, totalTimeoutInMilliseconds: 5000 });
+                const events = internals.recordEvents(retry);
+                const request = { url: 'http://a.test/path' };
+
+                const limited = Testing.script([Testing.httpError(429, { headers: { 'retry-after': '10' } })], { clock });
+                await expect(retry.run(limited, { request })).to.reject(Error, 'Response error 429');
+
+                const requestFunc = Testing.script([200], { clock });
+                const error = await expect(retry.run(requestFunc, { request })).to.reject(RequestRetry.DeadlineExceededError, 'Total timeout of 5000 milliseconds exceeded');
+                expect(error).to.include({ lastError: undefined, elapsedInMilliseconds: 0, attemptNumber: 0 });
+                expect(events[events.length - 1].data).to.include({ reason: 'deadline', attempts: 0, error });
+                Testing.assertCalls(requestFunc, 0);
+                expect(clock.pendingTimers).to.equal(1);
+
+                await clock.runAll();
+            });
+
+            it('gives up once an extended pause outlasts the total timeout', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 1000, totalTimeoutInMilliseconds: 5000, maxRetryAfterInMilliseconds: 10000 });
+                const request = { url: 'http://a.test/path' };
+                const limited = (seconds) => Testing.httpError(429, { headers: { 'retry-after': seconds } });
+                const slow = () => new Promise((resolve, reject) => clock.setTimeout(() => reject(limited('8')), 1500));
+
+                const requestFunc = Testing.script(['ECONNRESET', 200], { clock });
+                const rejection = expect(retry.run(requestFunc, { request })).to.reject(RequestRetry.DeadlineExceededError);
+                const extending = expect(retry.run(Testing.script([slow], { clock }), { request, numberOfRetries: 0 })).to.reject(Error, 'Response error 429');      // In flight before the pause
+
+                await clock.tick(500);
+                await expect(retry.run(Testing.script([limited('2')], { clock }), { request, numberOfRetries: 0 })).to.reject(Error, 'Response error 429');
+                await clock.tick(4500);
+                await extending;
+
+                const error = await rejection;
+                expect(error.lastError.code).to.equal('ECONNRESET');
+                expect(error).to.include({ elapsedInMilliseconds: 5000, attemptNumber: 1 });
+                Testing.assertCalls(requestFunc, 1);
+                expect(clock.pendingTimers).to.equal(1);
+
+                await clock.runAll();
+            });
+        });
+
+        describe('integrations', () => {
+
+            const getServer = () => {
+
+                const server = {
+                    requests: []
+                };
+
+                const handler = (request, response) => {
+
+                    server.requests.push(request.method);
+
+                    if (server.requests.length === 1) {
+                        response.writeHead(503);
+                        response.end();
+                        return;
+                    }
+
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.end('{"ok":true}');
+                };
+
+                return internals.getServer(handler).then((listener) => {
+
+                    server.listener = listener;
+                    server.url = 'http://localhost:' + listener.address().port;
+                    return server;
+                });
+            };
+
+            it('wraps a function', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+
+                const calls = [];
+                const client = {
+                    name: 'client',
+                    add: retry.wrap(function (a, b) {
+
+                        calls.push([this.name, a, b]);
+
+                        if (calls.length === 1) {
+                            throw Boom.serverUnavailable();
+                        }
+
+                        return a + b;
+                    })
+                };
+
+                expect(await client.add(1, 2)).to.equal(3);
+                expect(calls).to.equal([['client', 1, 2], ['client', 1, 2]]);
+            });
+
+            it('wraps a function with run options', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                    throw Boom.serverUnavailable();
+                };
+
+                const post = retry.wrap(fn, { request: { method: 'POST' } });
+                await expect(post('/items')).to.reject(Error, 'Service Unavailable');
+                expect(callCount).to.equal(1);
+
+                const request = retry.wrap(fn, (method, url) => ({ request: { method, url } }));
+                await expect(request('PUT', '/items/1')).to.reject(Error, 'Service Unavailable');
+                expect(callCount).to.equal(4);
+            });
+
+            it('installs axios interceptor', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+
+                const instance = Axios.create({ baseURL: server.url });
+                const id = retry.axios(instance);
+
+                const response = await instance.get('/path');
+                expect(response.data).to.equal({ ok: true });
+                expect(server.requests).to.equal(['GET', 'GET']);
+
+                server.requests = [];
+                instance.interceptors.request.eject(id);
+                await expect(instance.get('/path')).to.reject(Error, 'Request failed with status code 503');
+                expect(server.requests).to.equal(['GET']);
+
+                server.listener.close();
+            });
+
+            it('sends the idempotency key with axios', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+                const keys = [];
+                server.listener.on('request', (request) => keys.push(request.headers['idempotency-key']));
+
+                const instance = Axios.create({ baseURL: server.url });
+                retry.axios(instance, { idempotencyKey: (config) => config.headers['X-Request-Id'] });
+
+                const response = await instance.post('/path', {}, { headers: { 'X-Request-Id': 'key' } });
+                expect(response.data).to.equal({ ok: true });
+                expect(server.requests).to.equal(['POST', 'POST']);
+                expect(keys).to.equal(['key', 'key']);
+
+                server.listener.close();
+            });
+
+            it('does not retry axios requests that are not idempotent without idempotency key', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+                const keys = [];
+                server.listener.on('request', (request) => keys.push(request.headers['idempotency-key']));
+
+                const instance = Axios.create({ baseURL: server.url });
+                retry.axios(instance, { idempotencyKey: () => undefined });
+
+                await expect(instance.post('/path')).to.reject(Error, 'Request failed with status code 503');
+                expect(keys).to.equal([undefined]);
+
+                server.listener.close();
+            });
+
+            it('cancels axios requests through the signal of the attempt', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 0, attemptTimeoutInMilliseconds: 20 });
+                const signals = [];
+                const adapter = (config) => {
+
+                    signals.push(config.signal);
+                    if (signals.length === 1) {
+                        return new Promise(Hoek.ignore);
+                    }
+
+                    return Promise.resolve({ data: 'ok', status: 200, statusText: 'OK', headers: {}, config });
+                };
+
+                const instance = Axios.create({ baseURL: 'http://localhost', adapter });
+                retry.axios(instance);
+
+                const response = await instance.get('/path');
+                expect(response.data).to.equal('ok');
+                expect(signals).to.have.length(2);
+                expect(signals[0].aborted).to.be.true();
+                expect(signals[1].aborted).to.be.false();
+            });
+
+            it('resolves adapter names of axios', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+                const names = [];
+                const getAdapter = (adapter) => {
+
+                    names.push(adapter);
+                    return Axios.defaults.adapter;
+                };
+
+                const instance = Axios.create({ baseURL: server.url, adapter: ['xhr', 'http'] });
+                retry.axios(instance, { getAdapter });
+
+                const response = await instance.get('/path');
+                expect(response.data).to.equal({ ok: true });
+                expect(names).to.equal([['xhr', 'http']]);
+
+                const other = Axios.create({ baseURL: server.url, adapter: 'http' });
+                other.getAdapter = getAdapter;
+                retry.axios(other);
+
+                await other.get('/path');
+                expect(names).to.equal([['xhr', 'http'], 'http']);
+
+                server.listener.close();
+            });
+
+            it('rejects if adapter names of axios can not be resolved', async () => {
+
+                const retry = new RequestRetry();
+                const instance = Axios.create({ baseURL: 'http://localhost', adapter: ['http'] });
+                retry.axios(instance);
+
+                await expect(instance.get('/path')).to.reject(Error, 'The getAdapter option is required to resolve the adapter names of axios');
+            });
+
+            it('wraps Wreck', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+
+                const client = retry.wreck(Wreck);
+
+                const { payload } = await client.get(server.url, { json: true });
+                expect(payload).to.equal({ ok: true });
+                expect(server.requests).to.equal(['GET', 'GET']);
+                expect(client.read).to.be.a.function();
+
+                server.listener.close();
+            });
+
+            it('sends the idempotency key with Wreck', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+                const keys = [];
+                server.listener.on('request', (request) => keys.push(request.headers['idempotency-key']));
+
+                const client = retry.wreck(Wreck, { baseUrl: server.url, json: true });
+
+                const { payload } = await client.post('/path', { headers: { accept: 'application/json' }, idempotencyKey: 'key' });
+                expect(payload).to.equal({ ok: true });
+                expect(server.requests).to.equal(['POST', 'POST']);
+                expect(keys).to.equal(['key', 'key']);
+
+                server.listener.close();
+            });
+
+            it('wraps Wreck with defaults', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+                const server = await getServer();
+
+                const client = retry.wreck(Wreck, { baseUrl: server.url, json: true });
+
+                await expect(client.post('/path')).to.reject(Error, 'Response Error: 503 Service Unavailable');
+                expect(server.requests).to.equal(['POST']);
+
+                const { payload } = await client.put('/path');
+                expect(payload).to.equal({ ok: true });
+
+                server.listener.close();
+            });
+
+            it('retries fetch', async () => {
+
+                const calls = [];
+                const fetch = (url, init) => {
+
+                    calls.push({ url, init });
+                    return internals.fetchResponse(calls.length === 1 ? 503 : 200);
+                };
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, fetch });
+
+                const response = await retry.fetch('http://localhost/path', { headers: { accept: 'application/json' } });
+                expect(response.status).to.equal(200);
+                expect(calls).to.have.length(2);
+                expect(calls[1].url).to.equal('http://localhost/path');
+                expect(calls[1].init.headers).to.equal({ accept: 'application/json' });
+                expect(calls[1].init.signal.aborted).to.be.false();
+
+                const defaults = await retry.fetch(new URL('http://localhost/path'));
+                expect(defaults.status).to.equal(200);
+            });
+
+            it('does not retry fetch of non-idempotent request', async () => {
+
+                const calls = [];
+                const fetch = (url, init) => {
+
+                    calls.push({ url, init });
+                    return internals.fetchResponse(503);
+                };
+
+                const retry = new RequestRetry({ fetch });
+                const controller = internals.abortController();
+
+                const response = await retry.fetch('http://localhost/path', { method: 'POST', signal: controller.signal });
+                expect(response.status).to.equal(503);
+                expect(calls).to.have.length(1);
+                expect(calls[0].init.signal.aborted).to.be.false();
+            });
+
+            it('sends the idempotency key with fetch', async () => {
+
+                const calls = [];
+                const fetch = (url, init) => {
+
+                    calls.push(init);
+                    return internals.fetchResponse(calls.length % 2 ? 503 : 200);
+                };
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, fetch });
+
+                const response = await retry.fetch('http://localhost/path', { method: 'POST', headers: { accept: 'application/json' }, idempotencyKey: 'key' });
+                expect(response.status).to.equal(200);
+                expect(calls).to.have.length(2);
+                expect(calls[1].headers).to.equal({ accept: 'application/json', 'Idempotency-Key': 'key' });
+                expect(calls[1]).to.not.include('idempotencyKey');
+
+                await retry.fetch('http://localhost/path', { method: 'POST', headers: [['accept', 'application/json']], idempotencyKey: true });
+                expect(calls[3].headers).to.have.length(2);
+                expect(calls[3].headers[1][0]).to.equal('Idempotency-Key');
+                expect(calls[3].headers[1][1]).to.match(/^[\w-]{36}$/);
+                expect(calls[2].headers).to.equal(calls[3].headers);
+
+                await retry.fetch('http://localhost/path', { method: 'POST', idempotencyKey: 'other' });
+                expect(calls[5].headers).to.equal({ 'Idempotency-Key': 'other' });
+            });
+
+            it('adds the idempotency key to Headers of fetch', async () => {
+
+                const Headers = class extends Map {};
+                Headers.prototype.set = Map.prototype.set;
+
+                let sent;
+                const fetch = (url, init) => {
+
+                    sent = init.headers;
+                    return internals.fetchResponse(200);
+                };
+
+                const retry = new RequestRetry({ fetch });
+                const headers = new Headers([['accept', 'application/json']]);
+
+                await retry.fetch('http://localhost/path', { method: 'POST', headers, idempotencyKey: 'key' });
+                expect(sent).to.be.an.instanceof(Headers);
+                expect(Array.from(sent)).to.equal([['accept', 'application/json'], ['Idempotency-Key', 'key']]);
+                expect(headers.size).to.equal(1);
+            });
+
+            it('throws if fetch is not available', () => {
+
+                const fetch = global.fetch;
+                delete global.fetch;
+
+                const retry = new RequestRetry();
+                expect(() => retry.fetch('http://localhost/path')).to.throw('fetch is not available, pass an implementation as the fetch option');
+
+                if (fetch) {
+                    global.fetch = fetch;
+                }
+            });
+        });
+
+        describe('callbacks', () => {
+
+            it('retries a callback-style function', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 0 });
+                const attempts = [];
+
+                const fn = (done, context) => {
+
+                    attempts.push(context.attemptNumber);
+                    if (context.attemptNumber === 1) {
+                        return done(Testing.networkError('ECONNRESET'));
+                    }
+
+                    setImmediate(() => done(null, 'ok'));
+                };
+
+                const result = await new Promise((resolve, reject) => {
+
+                    retry.runCallback(fn, { numberOfRetries: 1 }, (err, value) => {
+
+                        if (err) {
+                            return reject(err);
+                        }
+
+                        resolve(value);
+                    });
+                });
+
+                expect(result).to.equal('ok');
+                expect(attempts).to.equal([1, 2]);
+            });
+
+            it('passes the error to the callback', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 0 });
+                const events = [];
+                retry.events.on('failedAttempt', (error) => events.push(['failedAttempt', error.classification]));
+                retry.events.on('giveUp', (data) => events.push(['giveUp', data.reason]));
+
+                const err = await new Promise((resolve) => {
+
+                    retry.runCallback((done) => done(Testing.httpError(503)), (error, value) => resolve(error));
+                });
+
+                expect(err.message).to.equal('Response error 503');
+                expect(events).to.equal([['failedAttempt', 'httpError'], ['failedAttempt', 'httpError'], ['giveUp', 'exhausted']]);
+            });
+
+            it('passes errors thrown by the function to the callback', async () => {
+
+                const retry = new RequestRetry();
+
+                const err = await new Promise((resolve) => {
+
+                    retry.runCallback(() => {
+
+                        throw new Error('boom');
+                    }, resolve);
+                });
+
+                expect(err.message).to.equal('boom');
+            });
+
+            it('passes validation errors to the callback', async () => {
+
+                const retry = new RequestRetry();
+
+                const err = await new Promise((resolve) => retry.runCallback(null, resolve));
+                expect(err.name).to.equal('ValidationError');
+            });
+
+            it('throws without a callback', () => {
+
+                const retry = new RequestRetry();
+                expect(() => retry.runCallback((done) => done(), {})).to.throw('runCallback() requires a callback');
+            });
+        });
+
+        describe('streams', () => {
+
+            const readable = (chunks, error) => {
+
+                const stream = new Stream.Readable({ read: Hoek.ignore });
+
+                setImmediate(() => {
+
+                    for (const chunk of chunks) {
+                        stream.push(chunk);
+                    }
+
+                    if (error) {
+                        setImmediate(() => stream.emit('error', error));
+                        return;
+                    }
+
+                    stream.push(null);
+                });
+
+                return stream;
+            };
+
+            it('creates the stream again on errors before the first byte', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 0 });
+                const sources = [];
+
+                const output = retry.runStream((context) => {
+
+                    const source = context.attemptNumber === 1 ? readable([], Testing.networkError('ECONNRESET')) : readable(['hello ', 'world']);
+                    sources.push(source);
+                    return source;
+                });
+
+                expect(await Wreck.read(output)).to.equal(Buffer.from('hello world'));
+                expect(sources).to.have.length(2);
+                expect(sources[0].destroyed).to.be.true();
+            });
+
+            it('retries streams with retryOnResult', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 0, retryOnResult: (source) => source.statusCode >= 500 });
+                const events = [];
+                retry.events.on('failedAttempt', (failure) => events.push(failure.classification));
+
+                const output = retry.runStream((context) => {
+
+                    const source = readable([context.attemptNumber === 1 ? 'unavailable' : 'ok']);
+                    source.statusCode = context.attemptNumber === 1 ? 503 : 200;
+                    return source;
+                });
+
+                expect((await Wreck.read(output)).toString()).to.equal('ok');
+                expect(events).to.equal(['retryOnResult']);
+            });
+
+            it('fails the stream on errors after the first byte', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 0 });
+                let calls = 0;
+
+                const output = retry.runStream(() => {
+
+                    ++calls;
+                    return readable(['partial'], Testing.networkError('ECONNRESET'));
+                });
+
+                const chunks = [];
+                output.on('data', (chunk) => chunks.push(chunk.toString()));
+
+                const err = await new Promise((resolve) => output.on('error', resolve));
+                expect(err.message).to.equal('Network error ECONNRESET');
+                expect(chunks).to.equal(['partial']);
+                expect(calls).to.equal(1);
+            });
+
+            it('fails the stream when giving up', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 0 });
+                const giveUps = [];
+                retry.events.on('giveUp', (data) => giveUps.push(data.reason));
+
+                const output = retry.runStream(() => readable([], Testing.networkError('ECONNREFUSED')));
+
+                const err = await new Promise((resolve) => output.on('error', resolve));
+                expect(err.message).to.equal('Network error ECONNREFUSED');
+                expect(giveUps).to.equal(['exhausted']);
+            });
+
+            it('passes on empty streams', async () => {
+
+                const retry = new RequestRetry();
+                const output = retry.runStream(() => readable([]));
+
+                expect(await Wreck.read(output)).to.equal(Buffer.alloc(0));
+            });
+
+            it('destroys the source when the stream is destroyed', async () => {
+
+                const retry = new RequestRetry();
+                const source = new Stream.Readable({ read: Hoek.ignore });
+                source.push('first');
+
+                const output = retry.runStream(() => source);
+                await new Promise((resolve) => output.once('data', resolve));
+
+                output.destroy();
+                await new Promise((resolve) => output.on('close', resolve));
+                expect(source.destroyed).to.be.true();
+            });
+
+            it('stops retrying when the stream is destroyed', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 50 });
+                const giveUps = [];
+                retry.events.on('giveUp', (data) => giveUps.push(data.reason));
+
+                let calls = 0;
+                const output = retry.runStream(() => {
+
+                    ++calls;
+                    return readable([], Testing.networkError('ECONNRESET'));
+                });
+
+                await new Promise((resolve) => retry.events.once('retryScheduled', resolve));
+                output.destroy();
+
+                await clock.runAll();
+                expect(calls).to.equal(1);
+                expect(giveUps).to.equal(['aborted']);
+            });
+
+            it('destroys the source that arrives after the stream was destroyed', async () => {
+
+                const retryOnResult = () => {
+
+                    output.destroy();
+                    return false;
+                };
+
+                const retry = new RequestRetry({ retryOnResult });
+                const source = readable(['late']);
+                const output = retry.runStream(() => source);
+
+                await new Promise((resolve) => output.on('close', resolve));
+                await Hoek.wait(10);
+                expect(source.destroyed).to.be.true();
+            });
+
+            it('fails the stream when the signal is aborted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 50 });
+                const controller = internals.abortController();
+
+                const output = retry.runStream(() => readable([], Testing.networkError('ECONNRESET')), { signal: controller.signal });
+                const failed = new Promise((resolve) => output.on('error', resolve));
+
+                clock.setTimeout(() => controller.abort(), 10);
+                await clock.tick(10);
+
+                expect(await failed).to.be.an.instanceof(RequestRetry.AbortError);
+
+                const aborted = retry.runStream(() => readable(['never']), { signal: controller.signal });
+                expect(await new Promise((resolve) => aborted.on('error', resolve))).to.be.an.instanceof(RequestRetry.AbortError);
+            });
+
+            it('destroys the streams of hedged calls that lost', async () => {
+
+                const retry = new RequestRetry();
+                const sources = [];
+
+                const output = retry.runStream((context) => {
+
+                    const source = new Stream.Readable({ read: Hoek.ignore });
+                    sources.push(source);
+
+                    if (context.hedgeNumber === 2) {
+                        source.push('hedged');
+                        source.push(null);
+                    }
+
+                    return source;
+                }, { hedge: { afterInMilliseconds: 10 } });
+
+                expect((await Wreck.read(output)).toString()).to.equal('hedged');
+                expect(sources).to.have.length(2);
+                expect(sources[0].destroyed).to.be.true();
+            });
+
+            it('throws with a cache key', () => {
+
+                const retry = new RequestRetry({ cache: {} });
+                expect(() => retry.runStream(() => readable([]), { cacheKey: 'file' })).to.throw('runStream() does not support the cacheKey option');
+            });
+        });
+
+        describe('overrides', () => {
+
+            it('overrides settings per call', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10 });
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                    throw Boom.notFound();
+                };
+
+                await expect(retry.run(fn, { retryHttpErrorCodes: [404], numberOfRetries: 1 })).to.reject(Error, 'Not Found');
+                expect(callCount).to.equal(2);
+
+                callCount = 0;
+                await expect(retry.run(fn)).to.reject(Error, 'Not Found');
+                expect(callCount).to.equal(1);
+            });
+
+            it('overrides wait per call', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 1 });
+                const waits = [];
+                retry.events.on('retryScheduled', (data) => waits.push(data.waitInMilliseconds));
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn, { waitBetweenFirstRetryInMilliseconds: 10 })).to.reject(Error, 'Internal Server Error');
+                await expect(retry.run(fn, { backoff: { strategy: 'fixed', delayInMilliseconds: 20 } })).to.reject(Error, 'Internal Server Error');
+                expect(waits).to.equal([10, 20]);
+            });
+
+            it('shares state with the instance', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+
+                const fn = () => {
+
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn, { aggregateErrors: true })).to.reject(RequestRetry.RetryError);
+                await expect(retry.run(fn)).to.reject(RequestRetry.CircuitOpenError);
+            });
+
+            it('rejects if overrides are invalid', async () => {
+
+                const retry = new RequestRetry();
+
+                const error = await expect(retry.run(() => {}, { numberOfRetries: -1 })).to.reject();
+                expect(error.name).to.equal('ValidationError');
+                expect(error.message).to.equal('child "numberOfRetries" fails because ["numberOfRetries" must be larger than or equal to 0]');
+            });
+
+            it('rejects if instance options are overridden', async () => {
+
+                const retry = new RequestRetry();
+
+                const error = await expect(retry.run(() => {}, { circuitBreaker: {} })).to.reject();
+                expect(error.message).to.equal('"circuitBreaker" is not allowed');
+            });
+        });
+
+        describe('policies', () => {
+
+            it('creates instance from policy', async () => {
+
+                RequestRetry.definePolicy('test-read', { numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 10, idempotentMethods: ['get'] });
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                    throw Boom.badImplementation();
+                };
+
+                const retry = new RequestRetry({ policy: 'test-read' });
+                await expect(retry.run(fn, { request: { method: 'GET' } })).to.reject(Error, 'Internal Server Error');
+                expect(callCount).to.equal(2);
+
+                callCount = 0;
+                const overridden = new RequestRetry({ policy: 'test-read', numberOfRetries: 0 });
+                await expect(overridden.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(callCount).to.equal(1);
+            });
+
+            it('redefines policy', async () => {
+
+                RequestRetry.definePolicy('test-redefined', { numberOfRetries: 3 });
+                RequestRetry.definePolicy('test-redefined', { numberOfRetries: 0 });
+
+                let callCount = 0;
+                const fn = () => {
+
+                    ++callCount;
+                    throw Boom.badImplementation();
+                };
+
+                const retry = new RequestRetry({ policy: 'test-redefined' });
+                await expect(retry.run(fn)).to.reject(Error, 'Internal Server Error');
+                expect(callCount).to.equal(1);
+            });
+
+            it('throws if policy is unknown', () => {
+
+                expect(() => new RequestRetry({ policy: 'test-unknown' })).to.throw('Unknown retry policy test-unknown');
+            });
+
+            const badPolicy = (provider) => {
+
+                it(`throws if ${provider.description}`, () => {
+
+                    expect(() => RequestRetry.definePolicy(provider.name, provider.options)).to.throw(provider.expectedMessage);
+                });
+            };
+
+            badPolicy({
+                description: 'policy name is missing',
+                options: {},
+                expectedMessage: '"value" is required'
+            });
+
+            badPolicy({
+                description: 'policy options are missing',
+                name: 'test-bad',
+                expectedMessage: '"value" is required'
+            });
+
+            badPolicy({
+                description: 'policy options are invalid',
+                name: 'test-bad',
+                options: { numberOfRetries: 'many' },
+                expectedMessage: 'child "numberOfRetries" fails because ["numberOfRetries" must be a number]'
+            });
+
+            badPolicy({
+                description: 'policy refers to a policy',
+                name: 'test-bad',
+                options: { policy: 'test-read' },
+                expectedMessage: 'child "policy" fails because ["policy" is not allowed]'
+            });
+        });
+
+        describe('retry rules', () => {
+
+            class ThrottledError extends Error { }
+
+            const rule = (provider) => {
+
+                it(provider.description, async () => {
+
+                    let attemptCount = 0;
+                    const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: provider.retryRules });
+
+                    const fn = () => {
+
+                        ++attemptCount;
+                        return provider.attempt();
+                    };
+
+                    await retry.run(fn).catch(Hoek.ignore);
+                    expect(attemptCount).to.equal(provider.attemptCount);
+                });
+            };
+
+            rule({
+                description: 'retries status in status class',
+                retryRules: [{ status: '4xx' }],
+                attempt: () => Promise.reject(Boom.notFound()),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries status in status range',
+                retryRules: [{ status: [400, 409] }],
+                attempt: () => Promise.reject(Boom.conflict()),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'does not retry status outside of status range',
+                retryRules: [{ status: [400, 408] }],
+                attempt: () => Promise.reject(Boom.conflict()),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not retry status matched by noRetry rule',
+                retryRules: [{ status: 503, action: 'noRetry' }],
+                attempt: () => Promise.reject(Boom.serverUnavailable()),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'applies first matching rule',
+                retryRules: [{ status: 503, action: 'noRetry' }, { status: '5xx' }],
+                attempt: () => Promise.reject(Boom.serverUnavailable()),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'falls back to default classification if no rule matches',
+                retryRules: [{ status: 404, action: 'noRetry' }],
+                attempt: () => Promise.reject(Boom.serverUnavailable()),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries error matching error class name',
+                retryRules: [{ errorName: 'ThrottledError' }],
+                attempt: () => Promise.reject(new ThrottledError('Slow down')),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries error matching name of parent error class',
+                retryRules: [{ errorName: ['TypeError', 'Error'] }],
+                attempt: () => Promise.reject(new ThrottledError('Slow down')),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries error matching error name property',
+                retryRules: [{ errorName: 'TooBusyError' }],
+                attempt: () => Promise.reject(Object.assign(new Error('Too busy'), { name: 'TooBusyError' })),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'does not match result with error class name',
+                retryRules: [{ errorName: 'Object' }],
+                attempt: () => ({ statusCode: 200 }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'retries error with code in cause chain',
+                retryRules: [{ code: 'EAI_AGAIN' }],
+                attempt: () => {
+
+                    const cause = Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' });
+                    return Promise.reject(Object.assign(new Error('Request failed'), { cause: Object.assign(new Error('Lookup failed'), { cause }) }));
+                },
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'stops following circular cause chain',
+                retryRules: [{ code: 'EAI_AGAIN' }],
+                attempt: () => {
+
+                    const error = new Error('Request failed');
+                    error.cause = error;
+                    return Promise.reject(error);
+                },
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match result with code',
+                retryRules: [{ code: 'EAI_AGAIN' }],
+                attempt: () => ({ statusCode: 200, code: 'EAI_AGAIN' }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'retries response with header',
+                retryRules: [{ header: { name: 'X-Throttled' } }],
+                attempt: () => internals.fetchResponse(200, { 'X-Throttled': 'true' }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries response with header value',
+                retryRules: [{ header: { name: 'x-throttled', value: 'true' } }],
+                attempt: () => internals.fetchResponse(200, { 'X-Throttled': 'true' }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'does not retry response with other header value',
+                retryRules: [{ header: { name: 'x-throttled', value: 'true' } }],
+                attempt: () => internals.fetchResponse(200, { 'X-Throttled': 'false' }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not retry response with header matching pattern',
+                retryRules: [{ header: { name: 'x-cache', pattern: '^MISS' }, action: 'noRetry' }],
+                attempt: () => internals.fetchResponse(503, { 'X-Cache': 'MISS from proxy' }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match response without header',
+                retryRules: [{ header: { name: 'x-throttled' } }],
+                attempt: () => internals.fetchResponse(200),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match error without headers',
+                retryRules: [{ header: { name: 'x-throttled' } }],
+                attempt: () => Promise.reject(new Error('Failed')),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'requires all conditions of a rule to match',
+                retryRules: [{ status: 503, header: { name: 'x-maintenance' }, action: 'noRetry' }],
+                attempt: () => internals.fetchResponse(503),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries body matching path through arrays',
+                retryRules: [{ body: { path: 'errors[].extensions.code', equals: 'THROTTLED' } }],
+                attempt: () => ({ statusCode: 200, body: { errors: [{ message: 'Invalid' }, { extensions: { code: 'THROTTLED' } }] } }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries JSON string body matching path',
+                retryRules: [{ body: { path: 'errors[].extensions.code', equals: 'THROTTLED' } }],
+                attempt: () => ({ statusCode: 200, body: JSON.stringify({ errors: [{ extensions: { code: 'THROTTLED' } }] }) }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries JSON buffer body matching path',
+                retryRules: [{ body: { path: 'status', equals: { retry: true } } }],
+                attempt: () => ({ statusCode: 200, body: Buffer.from(JSON.stringify({ status: { retry: true } })) }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'retries body with value at path',
+                retryRules: [{ body: { path: '[].retry' } }],
+                attempt: () => ({ statusCode: 200, body: [{ retry: false }] }),
+                attemptCount: 3
+            });
+
+            rule({
+                description: 'does not match body without value at path',
+                retryRules: [{ body: { path: 'errors[].extensions.code' } }],
+                attempt: () => ({ statusCode: 200, body: { errors: 'Invalid', extensions: null } }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match body with other value at path',
+                retryRules: [{ body: { path: 'errors[].extensions.code', equals: 'THROTTLED' } }],
+                attempt: () => ({ statusCode: 200, body: { errors: [{ extensions: { code: 'INVALID' } }] } }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match body which is not JSON',
+                retryRules: [{ body: { path: 'code' } }],
+                attempt: () => ({ statusCode: 200, body: '<html>' }),
+                attemptCount: 1
+            });
+
+            rule({
+                description: 'does not match missing body',
+                retryRules: [{ body: { path: 'code' } }],
+                attempt: () => Promise.reject(new Error('Failed')),
+                attemptCount: 1
+            });
+
+            it('loads rules from JSON', async () => {
+
+                let attemptCount = 0;
+                const retryRules = JSON.parse('[{ "status": [500, 599], "action": "noRetry" }, { "status": "4xx" }]');
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules });
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw attemptCount === 1 ? Boom.tooManyRequests() : Boom.badGateway();
+                };
+
+                await expect(retry.run(fn)).to.reject(Error, 'Bad Gateway');
+                expect(attemptCount).to.equal(2);
+            });
+
+            it('classifies attempt as decided by rule', async () => {
+
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: [{ status: 503, action: 'noRetry' }] });
+                const events = internals.recordEvents(retry);
+
+                await expect(retry.run(() => Promise.reject(Boom.serverUnavailable()))).to.reject(Error, 'Service Unavailable');
+
+                const giveUp = events.find((event) => event.name === 'giveUp');
+                expect(giveUp.data.classification).to.equal('rule');
+            });
+
+            it('retries body of response made with client library', async () => {
+
+                let attemptCount = 0;
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: [{ body: { path: 'errors[].extensions.code', equals: 'THROTTLED' } }] });
+
+                const handler = (request, response) => {
+
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.end(JSON.stringify({ errors: [{ extensions: { code: 'THROTTLED' } }] }));
+                };
+
+                const server = await internals.getServer(handler);
+                const url = 'http://localhost:' + server.address().port;
+
+                const requests = [
+                    () => Axios.get(url),
+                    () => Got(url),
+                    () => Wreck.request('GET', url).then((res) => Wreck.read(res).then((payload) => ({ res, payload }))),
+                    () => Request({ url, resolveWithFullResponse: true })
+                ];
+
+                let request;
+                const fn = () => {
+
+                    ++attemptCount;
+                    return request();
+                };
+
+                for (request of requests) {
+                    attemptCount = 0;
+                    await retry.run(fn);
+                    expect(attemptCount).to.equal(3);
+                }
+
+                server.close();
+            });
+
+            it('retries body of error made with client library', async () => {
+
+                let attemptCount = 0;
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: [{ body: { path: 'code', equals: 'TEMPORARY' } }] });
+
+                const handler = (request, response) => {
+
+                    response.writeHead(400, { 'Content-Type': 'application/json' });
+                    response.end(JSON.stringify({ code: 'TEMPORARY' }));
+                };
+
+                const server = await internals.getServer(handler);
+                const url = 'http://localhost:' + server.address().port;
+
+                const requests = [
+                    () => Axios.get(url),
+                    () => Got(url),
+                    () => Wreck.get(url),
+                    () => Request({ url })
+                ];
+
+                let request;
+                const fn = () => {
+
+                    ++attemptCount;
+                    return request();
+                };
+
+                for (request of requests) {
+                    attemptCount = 0;
+                    await expect(retry.run(fn)).to.reject();
+                    expect(attemptCount).to.equal(3);
+                }
+
+                server.close();
+            });
+
+            it('does not consult rules if request is not idempotent', async () => {
+
+                let attemptCount = 0;
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: [{ status: '5xx' }] });
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.badImplementation();
+                };
+
+                await expect(retry.run(fn, { request: { method: 'POST' } })).to.reject(Error, 'Internal Server Error');
+                expect(attemptCount).to.equal(1);
+            });
+
+            it('overrides rules per call', async () => {
+
+                let attemptCount = 0;
+                const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 10, retryRules: [{ status: 404 }] });
+
+                const fn = () => {
+
+                    ++attemptCount;
+                    throw Boom.notFound();
+                };
+
+                await expect(retry.run(fn, { retryRules: [{ status: 404, action: 'noRetry' }] })).to.reject(Error, 'Not Found');
+                expect(attemptCount).to.equal(1);
+            });
+        });
+
+        describe('durable queue', () => {
+
+            const record = (queue) => {
+
+                const events = [];
+
+                for (const name of ['success', 'retryScheduled', 'dead', 'pollError']) {
+                    queue.events.on(name, (data) => events.push({ name, data }));
+                }
+
+                return events;
+            };
+
+            const sender = (steps) => {
+
+                const requestFunc = Testing.script(steps);
+                const send = (request, context) => {
+
+                    send.requests.push(request);
+                    return requestFunc(context);
+                };
+
+                send.requests = [];
+                send.calls = requestFunc.calls;
+                return send;
+            };
+
+            it('retries job until it succeeds', async () => {
+
+                const clock = new Testing.FakeClock();
+                const contexts = [];
+                const send = sender(['ECONNRESET', (context) => {
+
+                    contexts.push(context);
+                    return Testing.response(200);
+                }]);
+
+                const retry = new RequestRetry({ clock });
+                const queue = retry.durable({ send });
+                const events = record(queue);
+
+                const job = await queue.enqueue({ method: 'post', url: 'https://example.com/hooks', body: '{}' }, { idempotencyKey: 'key-1' });
+                expect(job).to.include({ attempts: 0, createdAt: 0, nextAttemptAt: 0, idempotencyKey: 'key-1' });
+
+                expect(await queue.processDue()).to.equal(1);
+                expect(events).to.have.length(1);
+                expect(events[0].name).to.equal('retryScheduled');
+                expect(events[0].data.waitInMilliseconds).to.equal(1000);
+                expect(events[0].data.job).to.include({ id: job.id, attempts: 1, nextAttemptAt: 1000, lastWaitInMilliseconds: 1000 });
+                expect(events[0].data.job.lastOutcome).to.equal({ classification: 'networkError', statusCode: undefined, networkCode: 'ECONNRESET', message: 'Network error ECONNRESET' });
+
+                await clock.tick(999);
+                expect(await queue.processDue()).to.equal(0);
+
+                await clock.tick(1);
+                expect(await queue.processDue()).to.equal(1);
+                expect(events[1].name).to.equal('success');
+                expect(events[1].data.result.statusCode).to.equal(200);
+
+                expect(send.requests[1]).to.equal({ method: 'POST', url: 'https://example.com/hooks', headers: {}, body: '{}' });
+                expect(contexts[0]).to.include({ attemptNumber: 2, retriesLeft: 1, elapsedInMilliseconds: 1000, idempotencyKey: 'key-1', jobId: job.id });
+
+                await clock.tick(10000);
+                expect(await queue.processDue()).to.equal(0);
+                expect(await queue.deadLetters()).to.equal([]);
+            });
+
+            it('keeps metadata and wait across attempts', async () => {
+
+                const clock = new Testing.FakeClock();
+                const send = (request, context) => {
+
+                    context.metadata.count = (context.metadata.count || 0) + 1;
+                    return Promise.reject(Testing.networkError('ECONNRESET'));
+                };
+
+                const backoff = { strategy: 'decorrelatedJitter', delayInMilliseconds: 100, maxDelayInMilliseconds: 100 };
+                const queue = new RequestRetry({ clock, backoff }).durable({ send, numberOfRetries: 5 });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await queue.processDue();
+                await clock.tick(100);
+                await queue.processDue();
+
+                expect(events.map((event) => event.data.waitInMilliseconds)).to.equal([100, 100]);
+                expect(events[1].data.job.metadata).to.equal({ count: 2 });
+            });
+
+            it('buries job failing with non-retryable error', async () => {
+
+                const clock = new Testing.FakeClock(1000);
+                const queue = new RequestRetry({ clock }).durable({ send: sender(['ECONNRESET']) });
+                const events = record(queue);
+
+                const job = await queue.enqueue({ method: 'POST', url: 'https://example.com/charges' });
+                await queue.processDue();
+
+                expect(events).to.have.length(1);
+                expect(events[0].name).to.equal('dead');
+                expect(events[0].data.reason).to.equal('nonRetryable');
+
+                const [dead] = await queue.deadLetters();
+                expect(dead).to.include({ id: job.id, attempts: 1, reason: 'nonRetryable', diedAt: 1000 });
+                expect(dead.lastOutcome).to.equal({ classification: 'notIdempotent', networkCode: 'ECONNRESET', message: 'Network error ECONNRESET' });
+                expect(await queue.processDue()).to.equal(0);
+            });
+
+            it('buries job with error response', async () => {
+
+                const queue = new RequestRetry({ clock: new Testing.FakeClock() }).durable({ send: sender([404, Testing.response(404)]) });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com/1' });
+                await queue.enqueue({ url: 'https://example.com/2' });
+                await queue.processDue();
+
+                expect(events.map((event) => event.name)).to.equal(['dead', 'dead']);
+                expect(events[0].data.job.lastOutcome).to.equal({ classification: 'notRetryable', statusCode: 404, networkCode: undefined, message: 'Response error 404' });
+                expect(events[1].data.job.lastOutcome).to.equal({ classification: 'notRetryable', statusCode: 404, networkCode: undefined, message: undefined });
+            });
+
+            it('buries job failing with thrown value that is not an error', async () => {
+
+                const queue = new RequestRetry({ clock: new Testing.FakeClock() }).durable({ send: () => Promise.reject(null) });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await queue.processDue();
+
+                expect(events[0].data.job.lastOutcome).to.equal({ classification: 'notAnError', statusCode: undefined, networkCode: undefined, message: undefined });
+            });
+
+            it('buries job once retries are exhausted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const queue = new RequestRetry({ clock }).durable({ send: sender([503, 503]), numberOfRetries: 1 });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await clock.tick(0);
+                await queue.processDue();
+                await clock.tick(1000);
+                await queue.processDue();
+
+                expect(events.map((event) => event.name)).to.equal(['retryScheduled', 'dead']);
+                expect(events[1].data.reason).to.equal('exhausted');
+                expect(events[1].data.job.lastOutcome).to.equal({ classification: 'httpError', statusCode: 503, networkCode: undefined, message: 'Response error 503' });
+            });
+
+            it('buries job once its total timeout would be exceeded', async () => {
+
+                const clock = new Testing.FakeClock();
+                const queue = new RequestRetry({ clock, totalTimeoutInMilliseconds: 1500 }).durable({ send: sender(['ECONNRESET', 'ECONNRESET']) });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await queue.processDue();
+                await clock.tick(1000);
+                await queue.processDue();
+
+                expect(events.map((event) => event.name)).to.equal(['retryScheduled', 'dead']);
+                expect(events[1].data.reason).to.equal('deadline');
+            });
+
+            it('honors Retry-After header', async () => {
+
+                const clock = new Testing.FakeClock();
+                const queue = new RequestRetry({ clock }).durable({ send: sender([Testing.httpError(503, { headers: { 'retry-after': '3600' } })]) });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await queue.processDue();
+
+                expect(events[0].data.waitInMilliseconds).to.equal(60000);         // Capped by maxRetryAfterInMilliseconds
+            });
+
+            it('delays first attempt', async () => {
+
+                const clock = new Testing.FakeClock();
+                const send = sender([200]);
+                const queue = new RequestRetry({ clock }).durable({ send });
+
+                await queue.enqueue({ url: 'https://example.com' }, { id: 'job-1', delayInMilliseconds: 500 });
+                expect(await queue.processDue()).to.equal(0);
+
+                await clock.tick(500);
+                expect(await queue.processDue()).to.equal(1);
+                expect(send.calls).to.have.length(1);
+            });
+
+            it('sends request with fetch option', async () => {
+
+                const calls = [];
+                const fetch = (url, init) => {
+
+                    calls.push({ url, init });
+                    return internals.fetchResponse(200);
+                };
+
+                const queue = new RequestRetry({ clock: new Testing.FakeClock(), fetch }).durable();
+
+                const job = await queue.enqueue({ method: 'PUT', url: 'https://example.com/items/1', headers: { 'content-type': 'application/json' }, body: '{}' }, { idempotencyKey: true });
+                await queue.enqueue({ url: 'https://example.com/items' });
+                await queue.processDue();
+
+                expect(job.idempotencyKey).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+                expect(calls).to.equal([
+                    {
+                        url: 'https://example.com/items/1',
+                        init: { method: 'PUT', headers: { 'content-type': 'application/json', 'Idempotency-Key': job.idempotencyKey }, body: '{}' }
+                    },
+                    {
+                        url: 'https://example.com/items',
+                        init: { method: 'GET', headers: {}, body: undefined }
+                    }
+                ]);
+            });
+
+            it('buries job if fetch is not available', async () => {
+
+                const fetch = global.fetch;
+                delete global.fetch;
+
+                const queue = new RequestRetry({ clock: new Testing.FakeClock() }).durable();
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com' });
+                await queue.processDue();
+
+                if (fetch) {
+                    global.fetch = fetch;
+                }
+
+                expect(events[0].data.job.lastOutcome.message).to.equal('fetch is not available, pass an implementation as the fetch option or a send function');
+            });
+
+            it('polls store for due jobs', async () => {
+
+                const clock = new Testing.FakeClock();
+                const send = sender([200, 'ECONNRESET', 200]);
+                const queue = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 1500 }).durable({ send, batchSize: 1 });
+                const events = record(queue);
+
+                await queue.enqueue({ url: 'https://example.com/1' });
+                await queue.enqueue({ url: 'https://example.com/2' });
+
+                queue.start();
+                expect(() => queue.start()).to.throw('Durable queue is already started');
+
+                await clock.tick(0);
+                expect(events.map((event) => event.name)).to.equal(['success', 'retryScheduled']);
+
+                await clock.tick(1000);
+                expect(send.calls).to.have.length(2);
+
+                await clock.tick(1000);
+                expect(send.calls).to.have.length(3);
+
+                await queue.stop();
+                expect(clock.pendingTimers).to.equal(0);
+            });
+
+            it('emits store errors while polling', async () => {
+
+                const clock = new Testing.FakeClock();
+                const store = new RequestRetry.MemoryStore();
+                store.claim = () => Promise.reject(new Error('Store is down'));
+
+                const queue = new RequestRetry({ clock }).durable({ store });
+                const events = record(queue);
+
+                queue.start();
+                await clock.tick(1000);
+                await queue.stop();
+
+                expect(events.map((event) => event.data.message)).to.equal(['Store is down', 'Store is down']);
+            });
+
+            it('stops once jobs being attempted are done', async () => {
+
+                const clock = new Testing.FakeClock();
+                const store = new RequestRetry.MemoryStore();
+
+                let claimed;
+                store.claim = () => {
+
+                    return new Promise((resolve) => {
+
+                        claimed = resolve;
+                    });
+                };
+
+                const queue = new RequestRetry({ clock }).durable({ store });
+
+                queue.start();
+                await clock.tick(0);
+
+                const stopping = queue.stop();
+                claimed([]);
+                await stopping;
+
+                expect(clock.pendingTimers).to.equal(0);
+            });
+
+            it('stops queue that was not started', async () => {
+
+                const queue = new RequestRetry().durable();
+                await queue.stop();
+            });
+
+            it('throws if request is invalid', async () => {
+
+                const queue = new RequestRetry().durable();
+                await expect(queue.enqueue({ method: 'GET' })).to.reject(/"url" is required/);
+                await expect(queue.enqueue({ url: 'https://example.com', body: {} })).to.reject(/"body" must be a string/);
+            });
+
+            it('throws if options are invalid', () => {
+
+                const retry = new RequestRetry();
+                expect(() => retry.durable({ batchSize: 0 })).to.throw(/"batchSize" must be larger than or equal to 1/);
+                expect(() => retry.durable({ numberOfRetries: -1 })).to.throw(/"numberOfRetries" must be larger than or equal to 0/);
+            });
+
+            describe('FileStore', () => {
+
+                const tmpPath = () => Path.join(Os.tmpdir(), `request-retry-${process.pid}-${Date.now()}-${Math.random()}.jsonl`);
+
+                it('keeps jobs across restarts', async () => {
+
+                    const path = tmpPath();
+                    const clock = new Testing.FakeClock();
+                    const retry = new RequestRetry({ clock });
+
+                    const first = retry.durable({ store: new RequestRetry.FileStore(path), send: sender(['ECONNRESET', 'ECONNRESET']) });
+                    const job = await first.enqueue({ url: 'https://example.com/1' });
+                    await first.enqueue({ method: 'POST', url: 'https://example.com/2' }, { delayInMilliseconds: 60000 });
+                    await first.processDue();
+
+                    const second = retry.durable({ store: new RequestRetry.FileStore(path), send: sender([200, 'ECONNRESET']) });
+                    const events = record(second);
+
+                    expect(await second.processDue()).to.equal(0);
+                    await clock.tick(1000);
+                    expect(await second.processDue()).to.equal(1);
+                    expect(events[0].name).to.equal('success');
+                    expect(events[0].data.job).to.include({ id: job.id, attempts: 2 });
+
+                    await clock.tick(59000);
+                    expect(await second.processDue()).to.equal(1);
+                    expect(events[1].name).to.equal('dead');
+
+                    const third = new RequestRetry.FileStore(path);
+                    expect(await third.claim(Infinity, Infinity, 10)).to.equal([]);
+                    expect((await third.deadLetters()).map((dead) => dead.request.url)).to.equal(['https://example.com/2']);
+
+                    expect(Fs.readFileSync(path, 'utf8').trim().split('\n')).to.have.length(1);
+                    Fs.unlinkSync(path);
+                });
+
+                it('leases claimed jobs', async () => {
+
+                    const path = tmpPath();
+                    const store = new RequestRetry.FileStore(path);
+                    await store.push({ id: 'job-1', nextAttemptAt: 0 });
+                    await store.push({ id: 'job-2', nextAttemptAt: 10 });
+
+                    expect((await store.claim(0, 60000, 10)).map((job) => job.id)).to.equal(['job-1']);
+
+                    const restarted = new RequestRetry.FileStore(path);
+                    expect((await restarted.claim(1000, 61000, 10)).map((job) => job.id)).to.equal(['job-2']);
+                    expect(await restarted.claim(59999, 119999, 10)).to.equal([]);
+                    expect((await restarted.claim(60000, 120000, 1)).map((job) => job.id)).to.equal(['job-1']);
+
+                    await restarted.remove('job-1');
+                    await restarted.remove('job-2');
+                    expect(await new RequestRetry.FileStore(path).claim(Infinity, Infinity, 10)).to.equal([]);
+                    Fs.unlinkSync(path);
+                });
+
+                it('skips records cut off by a crash', async () => {
+
+                    const path = tmpPath();
+                    Fs.writeFileSync(path, [
+                        JSON.stringify({ push: { id: 'job-1', nextAttemptAt: 0 } }),
+                        JSON.stringify({ lease: ['job-unknown'], leaseUntil: 10 }),
+                        JSON.stringify({}),
+                        '{"push":{"id":"job-2","nextAtt'
+                    ].join('\n'));
+
+                    const store = new RequestRetry.FileStore(path);
+                    expect((await store.claim(0, 10, 10)).map((job) => job.id)).to.equal(['job-1']);
+                    Fs.unlinkSync(path);
+                });
+
+                it('rejects if file cannot be read', async () => {
+
+                    const store = new RequestRetry.FileStore(Os.tmpdir());
+                    await expect(store.deadLetters()).to.reject(/EISDIR/);
+                });
+            });
+        });
+
+        describe('stale-if-error cache', () => {
+
+            const failing = (clock, retry, options, steps = ['ECONNRESET', 'ECONNRESET', 'ECONNRESET']) => {
+
+                const settled = retry.run(Testing.script(steps, { clock }), options).then((value) => ({ value }), (error) => ({ error }));
+                return clock.runAll().then(() => settled);
+            };
+
+            it('serves cached result when retries are exhausted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: {} });
+                const events = [];
+                retry.events.on('servedStale', (data) => events.push(data));
+
+                const fresh = await retry.run(Testing.script([Testing.response(200, { body: { name: 'John' } })]), { cacheKey: 'user:1' });
+                expect(RequestRetry.isStale(fresh)).to.be.false();
+
+                await clock.tick(5000);
+                const { value } = await failing(clock, retry, { cacheKey: 'user:1' });
+
+                expect(value).to.shallow.equal(fresh);
+                expect(RequestRetry.isStale(value)).to.be.true();
+
+                expect(events).to.have.length(1);
+                expect(events[0]).to.include({ key: 'user:1', value: fresh, ageInMilliseconds: 8000, reason: 'exhausted', attempts: 3 });
+                expect(events[0].error.code).to.equal('ECONNRESET');
+            });
+
+            it('serves cached result when retried responses are exhausted', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: {} });
+
+                await retry.run(() => 'ok', { cacheKey: 'status' });
+                const { value } = await failing(clock, retry, { cacheKey: 'status' }, [503, Testing.response(503), Testing.response(503)]);
+
+                expect(value).to.equal('ok');
+                expect(RequestRetry.isStale(value)).to.be.false();
+                expect(RequestRetry.isStale(null)).to.be.false();
+            });
+
+            it('serves cached result when circuit is open', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: {}, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+
+                await retry.run(Testing.script([{ id: 1 }]), { cacheKey: 'item' });
+                expect(await retry.run(Testing.script([503]), { cacheKey: 'item' })).to.equal({ id: 1 });
+                expect(await retry.run(Testing.script([200]), { cacheKey: 'item' })).to.equal({ id: 1 });
+            });
+
+            it('does not serve cached result for non-retryable errors', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: {} });
+
+                await retry.run(Testing.script([{ id: 1 }]), { cacheKey: 'item' });
+                await expect(retry.run(Testing.script([404]), { cacheKey: 'item' })).to.reject(Error, 'Response error 404');
+
+                const controller = internals.abortController();
+                controller.abort();
+                await expect(retry.run(Testing.script([200]), { cacheKey: 'item', signal: controller.signal })).to.reject(RequestRetry.AbortError);
+            });
+
+            it('rejects if nothing was cached', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: {} });
+
+                await retry.run(Testing.script([Testing.response(404)]), { cacheKey: 'item' });       // Error responses are not cached
+
+                const { error } = await failing(clock, retry, { cacheKey: 'item' });
+                expect(error.code).to.equal('ECONNRESET');
+            });
+
+            it('honors stale-if-error of cached response', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, cache: { staleIfErrorInMilliseconds: 60000 } });
+
+                const headers = { 'cache-control': 'max-age=60, stale-if-error=10' };
+                await retry.run(Testing.script([Testing.response(200, { headers })]), { cacheKey: 'item' });
+
+                await clock.tick(7000);
+                expect((await failing(clock, retry, { cacheKey: 'item' })).value.statusCode).to.equal(200);       // Age 10000 after the retries
+
+                expect((await failing(clock, retry, { cacheKey: 'item' })).error.code).to.equal('ECONNRESET');
+            });
+
+            it('limits staleness by cache option', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: { staleIfErrorInMilliseconds: 1000 } });
+
+                await retry.run(Testing.script([Testing.response(200)]), { cacheKey: 'item' });
+                expect((await failing(clock, retry, { cacheKey: 'item' })).value.statusCode).to.equal(200);
+
+                await clock.tick(1001);
+                expect((await failing(clock, retry, { cacheKey: 'item' })).error.code).to.equal('ECONNRESET');
+            });
+
+            it('limits staleness to a day by default', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: {} });
+
+                await retry.run(Testing.script([Testing.response(200)]), { cacheKey: 'item' });
+
+                await clock.tick(86400000);
+                expect((await failing(clock, retry, { cacheKey: 'item' })).value.statusCode).to.equal(200);
+
+                await clock.tick(1);
+                expect((await failing(clock, retry, { cacheKey: 'item' })).error.code).to.equal('ECONNRESET');
+            });
+
+            it('limits staleness by max-stale of caller', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: {} });
+
+                await retry.run(Testing.script([Testing.response(200)]), { cacheKey: 'item' });
+                await clock.tick(1000);
+
+                expect((await failing(clock, retry, { cacheKey: 'item', maxStaleInMilliseconds: 999 })).error.code).to.equal('ECONNRESET');
+                expect((await failing(clock, retry, { cacheKey: 'item', maxStaleInMilliseconds: 1000 })).value.statusCode).to.equal(200);
+            });
+
+            it('evicts least recently used entries', () => {
+
+                const store = new RequestRetry.LruStore(2);
+
+                store.set('a', 1);
+                store.set('b', 2);
+                store.set('a', 3);
+                store.set('c', 4);
+
+                expect(store.get('a')).to.equal(3);
+                expect(store.get('b')).to.be.undefined();
+
+                store.set('d', 5);
+                expect(store.get('a')).to.equal(3);
+                expect(store.get('c')).to.be.undefined();
+            });
+
+            it('uses custom store', async () => {
+
+                const clock = new Testing.FakeClock();
+                const entries = new Map();
+                const store = {
+                    get: (key) => Promise.resolve(entries.get(key)),
+                    set: (key, entry) => Promise.resolve(entries.set(key, entry))
+                };
+
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: { store } });
+
+                await retry.run(() => 'fresh', { cacheKey: 'item' });
+                expect(entries.get('item')).to.equal({ value: 'fresh', storedAt: 0, staleIfErrorInMilliseconds: null });
+                expect((await failing(clock, retry, { cacheKey: 'item' })).value).to.equal('fresh');
+            });
+
+            it('resolves fresh result if store fails to set it', async () => {
+
+                const clock = new Testing.FakeClock();
+                const store = {
+                    get: () => undefined,
+                    set: () => Promise.reject(new Error('Store is down'))
+                };
+
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: { store } });
+                const errors = [];
+                retry.events.on('cacheError', (data) => errors.push(data));
+
+                expect(await retry.run(() => 'fresh', { cacheKey: 'item' })).to.equal('fresh');
+                expect(errors).to.have.length(1);
+                expect(errors[0]).to.include({ key: 'item' });
+                expect(errors[0].error.message).to.equal('Store is down');
+                expect(errors[0].context.attemptNumber).to.equal(1);
+            });
+
+            it('rejects with the error of the run if store fails to get stale result', async () => {
+
+                const clock = new Testing.FakeClock();
+                const store = {
+                    get: () => {
+
+                        throw new Error('Store is down');
+                    },
+                    set: Hoek.ignore
+                };
+
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: { store } });
+                const errors = [];
+                retry.events.on('cacheError', (data) => errors.push(data));
+
+                expect((await failing(clock, retry, { cacheKey: 'item' })).error.code).to.equal('ECONNRESET');
+                expect(errors).to.have.length(1);
+                expect(errors[0].error.message).to.equal('Store is down');
+            });
+
+            it('does not use cache without cache key', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, cache: {} });
+
+                await retry.run(() => 'fresh');
+                expect((await failing(clock, retry, {})).error.code).to.equal('ECONNRESET');
+            });
+
+            it('throws if cache key is given without cache', async () => {
+
+                const retry = new RequestRetry();
+                await expect(retry.run(Testing.script([200]), { cacheKey: 'item' })).to.reject('The cacheKey run option requires the cache option');
+            });
+        });
+
+        describe('adaptive retries', () => {
+
+            const flaky = (clock, retry, options) => {
+
+                const settled = retry.run(Testing.script(['ECONNRESET', 200], { clock }), options);
+                return clock.runAll().then(() => settled);
+            };
+
+            const outage = (clock, retry, options) => {
+
+                const rejected = expect(retry.run(Testing.script(['ECONNRESET', 'ECONNRESET', 'ECONNRESET'], { clock }), options)).to.reject(Error, 'Network error ECONNRESET');
+                return clock.runAll().then(() => rejected);
+            };
+
+            const slow = (clock, durationInMilliseconds) => {
+
+                return (context) => {
+
+                    return new Promise((resolve, reject) => {
+
+                        clock.setTimeout(() => {
+
+                            if (context.attemptNumber === 1) {
+                                return reject(Testing.networkError('ECONNRESET'));
+                            }
+
+                            resolve('ok');
+                        }, durationInMilliseconds);
+                    });
+                };
+            };
+
+            it('keeps the settings of the instance until enough retries were seen', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 50, adaptive: { minSamples: 2 } });
+
+                expect(retry.adaptiveStats).to.equal({});
+
+                await retry.run(() => 'ok');
+                expect(retry.adaptiveStats['*']).to.include({ samples: 1, retries: 0, retrySuccessRate: null });
+
+                await flaky(clock, retry);
+                expect(retry.adaptiveStats).to.equal({
+                    '*': { samples: 3, retries: 1, retrySuccessRate: 1, averageLatencyInMilliseconds: 0, numberOfRetries: 2, waitBetweenFirstRetryInMilliseconds: 50 }
+                });
+            });
+
+            it('retries more when retries mostly succeed', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 2, maxRetries: 4 } });
+
+                await flaky(clock, retry);
+                await flaky(clock, retry);
+                expect(retry.adaptiveStats['*']).to.include({ retries: 2, retrySuccessRate: 1, numberOfRetries: 4, waitBetweenFirstRetryInMilliseconds: 100 });
+
+                const fn = Testing.script(['ECONNRESET', 'ECONNRESET', 'ECONNRESET', 'ECONNRESET', 200], { clock });
+                const settled = retry.run(fn);
+                await clock.runAll();
+
+                expect(await settled).to.include({ statusCode: 200 });
+                Testing.assertDelays(fn, [100, 200, 400, 800]);
+            });
+
+            it('retries less and later when retries mostly fail', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 4, minRetries: 1, maxDelayInMilliseconds: 5000 } });
+
+                await outage(clock, retry);
+                await outage(clock, retry);
+                expect(retry.adaptiveStats['*']).to.include({ retries: 4, retrySuccessRate: 0, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 5000 });
+
+                const fn = Testing.script(['ECONNRESET', 'ECONNRESET'], { clock });
+                const rejected = expect(retry.run(fn)).to.reject(Error, 'Network error ECONNRESET');
+                await clock.runAll();
+                await rejected;
+                Testing.assertDelays(fn, [5000]);
+            });
+
+            it('scales between the bounds with the retry success rate', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1, adaptive: { minSamples: 2, minRetries: 1, maxRetries: 3, minDelayInMilliseconds: 0, maxDelayInMilliseconds: 1000 } });
+
+                await flaky(clock, retry);
+                await outage(clock, retry, { numberOfRetries: 1 });
+                expect(retry.adaptiveStats['*']).to.include({ retries: 2, retrySuccessRate: 0.5, numberOfRetries: 2, waitBetweenFirstRetryInMilliseconds: 500 });
+            });
+
+            it('waits at least the latency of the dependency', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 1, maxDelayInMilliseconds: 2000 } });
+
+                const settled = retry.run(slow(clock, 800));
+                await clock.runAll();
+                await settled;
+                expect(retry.adaptiveStats['*']).to.include({ averageLatencyInMilliseconds: 800, waitBetweenFirstRetryInMilliseconds: 800 });
+
+                const slower = retry.run(slow(clock, 5000));
+                await clock.runAll();
+                await slower;
+                expect(retry.adaptiveStats['*']).to.include({ averageLatencyInMilliseconds: 2900, waitBetweenFirstRetryInMilliseconds: 2000 });
+            });
+
+            it('forgets samples older than the window', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 1, windowInMilliseconds: 10000 } });
+
+                await outage(clock, retry);
+                expect(retry.adaptiveStats['*']).to.include({ samples: 3, numberOfRetries: 0 });
+
+                await clock.tick(5000);
+                await flaky(clock, retry, { numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 0 });
+                expect(retry.adaptiveStats['*']).to.include({ samples: 5, retries: 3 });
+
+                await clock.tick(2000);
+                expect(retry.adaptiveStats['*']).to.include({ samples: 4, retries: 3 });
+
+                await clock.tick(1001);
+                expect(retry.adaptiveStats['*']).to.include({ samples: 3, retries: 2, retrySuccessRate: 0.5 });
+
+                await clock.tick(10000);
+                expect(retry.adaptiveStats).to.equal({});
+
+                const fn = Testing.script(['ECONNRESET', 'ECONNRESET', 'ECONNRESET'], { clock });
+                const rejected = expect(retry.run(fn)).to.reject();
+                await clock.runAll();
+                await rejected;
+                Testing.assertCalls(fn, 3);
+            });
+
+            it('tunes per key', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 2, key: (request) => request.url } });
+
+                await outage(clock, retry, { request: { url: 'https://down' } });
+                await flaky(clock, retry, { request: { url: 'https://up' } });
+                await flaky(clock, retry, { request: { url: 'https://up' } });
+
+                const stats = retry.adaptiveStats;
+                expect(Object.keys(stats)).to.equal(['https://down', 'https://up']);
+                expect(stats['https://down']).to.include({ retrySuccessRate: 0, numberOfRetries: 0 });
+                expect(stats['https://up']).to.include({ retrySuccessRate: 1, numberOfRetries: 5 });
+            });
+
+            it('lets run options override the tuned settings', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, adaptive: { minSamples: 2 } });
+
+                await outage(clock, retry);
+
+                const fn = Testing.script(['ECONNRESET', 'ECONNRESET'], { clock });
+                const rejected = expect(retry.run(fn, { numberOfRetries: 1 })).to.reject();
+                await clock.runAll();
+                await rejected;
+                Testing.assertDelays(fn, [10000]);
+            });
+
+            it('ignores aborted attempts', async () => {
+
+                const retry = new RequestRetry({ adaptive: {} });
+                const controller = internals.abortController();
+
+                const settled = retry.run(() => new Promise(Hoek.ignore), { signal: controller.signal });
+                controller.abort();
+
+                await expect(settled).to.reject(RequestRetry.AbortError);
+                expect(retry.adaptiveStats).to.equal({});
+            });
+
+            it('has no stats without the adaptive option', () => {
+
+                expect(new RequestRetry().adaptiveStats).to.be.null();
+            });
+        });
+
+        describe('endpoints', () => {
+
+            const endpointOf = (context) => context.endpoint;
+
+            it('fails over to the next endpoint on each retry', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const endpoints = [];
+                const fn = Testing.script(['ECONNREFUSED', 'ECONNREFUSED', (context) => ({ endpoint: context.endpoint })], { clock });
+
+                const settled = retry.run((context) => {
+
+                    endpoints.push(context.endpoint);
+                    return fn(context);
+                }, { endpoints: ['https://primary', 'https://replica-1', 'https://replica-2'] });
+
+                await clock.runAll();
+                expect(await settled).to.equal({ endpoint: 'https://replica-2' });
+                expect(endpoints).to.equal(['https://primary', 'https://replica-1', 'https://replica-2']);
+            });
+
+            it('wraps around the endpoints', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 3 });
+                const fn = Testing.script(['ECONNREFUSED', 'ECONNREFUSED', 'ECONNREFUSED', (context) => ({ endpoint: context.endpoint })], { clock });
+                const endpoints = [];
+
+                const settled = retry.run((context) => {
+
+                    endpoints.push(context.endpoint);
+                    return fn(context);
+                }, { endpoints: ['https://primary', 'https://replica'] });
+
+                await clock.runAll();
+                await settled;
+                expect(endpoints).to.equal(['https://primary', 'https://replica', 'https://primary', 'https://replica']);
+            });
+
+            it('accepts a single endpoint', async () => {
+
+                const retry = new RequestRetry();
+                const endpoints = [];
+
+                await retry.run((context) => endpoints.push(context.endpoint), { endpoints: 'https://primary' });
+                await retry.run((context) => endpoints.push(context.endpoint));
+
+                expect(endpoints).to.equal(['https://primary', undefined]);
+            });
+
+            it('starts runs with the next endpoint in round-robin', async () => {
+
+                const retry = new RequestRetry();
+                const endpoints = [];
+                const options = { endpoints: ['https://a', 'https://b', 'https://c'], endpointStrategy: 'roundRobin' };
+
+                for (let i = 0; i < 4; ++i) {
+                    endpoints.push(await retry.run(endpointOf, options));
+                }
+
+                expect(endpoints).to.equal(['https://a', 'https://b', 'https://c', 'https://a']);
+                expect(await retry.run(endpointOf, { endpoints: ['https://c', 'https://b'], endpointStrategy: 'roundRobin' })).to.equal('https://c');
+            });
+
+            it('moves to the next endpoint in round-robin on retry', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const options = { endpoints: ['https://a', 'https://b', 'https://c'], endpointStrategy: 'roundRobin' };
+
+                await retry.run(endpointOf, options);
+
+                const fn = Testing.script([503, (context) => ({ endpoint: context.endpoint })], { clock });
+                const settled = retry.run(fn, options);
+                await clock.runAll();
+                expect(await settled).to.equal({ endpoint: 'https://c' });
+            });
+
+            it('picks a random endpoint other than the previous one', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 1 });
+                const random = Math.random;
+                Math.random = () => 0.5;
+
+                try {
+                    const fn = Testing.script(['ECONNRESET', (context) => ({ endpoint: context.endpoint })], { clock });
+                    const endpoints = [];
+                    const settled = retry.run((context) => {
+
+                        endpoints.push(context.endpoint);
+                        return fn(context);
+                    }, { endpoints: ['https://a', 'https://b', 'https://c'], endpointStrategy: 'random' });
+
+                    await clock.runAll();
+                    await settled;
+                    expect(endpoints).to.equal(['https://b', 'https://c']);
+
+                    const single = Testing.script(['ECONNRESET', (context) => ({ endpoint: context.endpoint })], { clock });
+                    const retried = retry.run(single, { endpoints: ['https://a'], endpointStrategy: 'random' });
+                    await clock.runAll();
+                    expect(await retried).to.equal({ endpoint: 'https://a' });
+                }
+                finally {
+                    Math.random = random;
+                }
+            });
+
+            it('marks endpoints that keep failing as unhealthy for a cooldown', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, endpointHealth: { failureThreshold: 2, cooldownInMilliseconds: 10000 } });
+                const events = [];
+                retry.events.on('endpointFailure', (data) => events.push(['failure', data]));
+                retry.events.on('endpointUnhealthy', (data) => events.push(['unhealthy', data]));
+                retry.events.on('endpointHealthy', (data) => events.push(['healthy', data]));
+
+                const options = { endpoints: ['https://primary', 'https://replica'] };
+                const failing = () => Promise.reject(Testing.networkError('ECONNREFUSED'));
+
+                await expect(retry.run(failing, options)).to.reject(Error, 'Network error ECONNREFUSED');
+                expect(retry.endpointStats).to.equal({ 'https://primary': { healthy: true, failures: 1, unhealthyUntil: null }, 'https://replica': { healthy: true, failures: 0, unhealthyUntil: null } });
+
+                await expect(retry.run(failing, options)).to.reject(Error, 'Network error ECONNREFUSED');
+                expect(retry.endpointStats).to.equal({ 'https://primary': { healthy: false, failures: 2, unhealthyUntil: 10000 }, 'https://replica': { healthy: true, failures: 0, unhealthyUntil: null } });
+                expect(events).to.equal([
+                    ['failure', { endpoint: 'https://primary', failures: 1 }],
+                    ['failure', { endpoint: 'https://primary', failures: 2 }],
+                    ['unhealthy', { endpoint: 'https://primary', failures: 2, cooldownInMilliseconds: 10000 }]
+                ]);
+
+                expect(await retry.run(endpointOf, options)).to.equal('https://replica');
+
+                await clock.tick(10000);
+                expect(await retry.run(endpointOf, options)).to.equal('https://primary');
+                expect(events[3]).to.equal(['healthy', { endpoint: 'https://primary' }]);
+                expect(retry.endpointStats['https://primary']).to.equal({ healthy: true, failures: 0, unhealthyUntil: null });
+            });
+
+            it('marks endpoints failing requests that are not retried as unhealthy', async () => {
+
+                const retry = new RequestRetry({ endpointHealth: { failureThreshold: 2 } });
+                const options = { endpoints: ['https://primary', 'https://replica'], request: { method: 'POST' } };
+                const failing = () => Promise.reject(Testing.httpError(503));
+
+                await expect(retry.run(failing, options)).to.reject(Error, 'Response error 503');
+                await expect(retry.run(failing, options)).to.reject(Error, 'Response error 503');
+                expect(retry.endpointStats['https://primary']).to.include({ healthy: false, failures: 2 });
+                expect(retry.endpointStats['https://replica']).to.include({ healthy: true, failures: 0 });
+            });
+
+            it('skips unhealthy endpoints on retry', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, endpointHealth: { failureThreshold: 1 } });
+                const options = { endpoints: ['https://a', 'https://b', 'https://c'] };
+
+                await expect(retry.run(() => Promise.reject(Testing.networkError('ECONNREFUSED')), Object.assign({ numberOfRetries: 0 }, options))).to.reject();
+
+                const fn = Testing.script([503, (context) => ({ endpoint: context.endpoint })], { clock });
+                const endpoints = [];
+                const settled = retry.run((context) => {
+
+                    endpoints.push(context.endpoint);
+                    return fn(context);
+                }, options);
+
+                await clock.runAll();
+                expect(await settled).to.equal({ endpoint: 'https://c' });
+                expect(endpoints).to.equal(['https://b', 'https://c']);
+            });
+
+            it('tries unhealthy endpoints when all are unhealthy', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock, numberOfRetries: 0, endpointHealth: { failureThreshold: 1, cooldownInMilliseconds: 10000 } });
+                const events = [];
+                retry.events.on('endpointUnhealthy', (data) => events.push(['unhealthy', data.endpoint]));
+                retry.events.on('endpointHealthy', (data) => events.push(['healthy', data.endpoint]));
+
+                const options = { endpoints: ['https://a', 'https://b'] };
+                const failing = () => Promise.reject(Testing.networkError('ECONNREFUSED'));
+
+                await expect(retry.run(failing, options)).to.reject();
+                await expect(retry.run(failing, options)).to.reject();
+
+                await clock.tick(5000);
+                await expect(retry.run(failing, options)).to.reject();
+                expect(retry.endpointStats['https://a']).to.include({ healthy: false, unhealthyUntil: 15000 });
+
+                expect(await retry.run(endpointOf, options)).to.equal('https://a');
+                expect(retry.endpointStats['https://a']).to.include({ healthy: true, failures: 0 });
+                expect(events).to.equal([['unhealthy', 'https://a'], ['unhealthy', 'https://b'], ['healthy', 'https://a']]);
+            });
+
+            it('counts non-retryable errors as healthy and ignores aborted attempts', async () => {
+
+                const retry = new RequestRetry({ numberOfRetries: 0, endpointHealth: { failureThreshold: 1 } });
+                const options = { endpoints: ['https://a'] };
+
+                await expect(retry.run(() => Promise.reject(Testing.httpError(404)), options)).to.reject(Error, 'Response error 404');
+                expect(retry.endpointStats['https://a']).to.equal({ healthy: true, failures: 0, unhealthyUntil: null });
+
+                const controller = internals.abortController();
+                const settled = retry.run(() => new Promise(Hoek.ignore), Object.assign({ signal: controller.signal }, options));
+                controller.abort();
+
+                await expect(settled).to.reject(RequestRetry.AbortError);
+                expect(retry.endpointStats['https://a']).to.equal({ healthy: true, failures: 0, unhealthyUntil: null });
+            });
+
+            it('shares health state with overridden runs', async () => {
+
+                const retry = new RequestRetry({ endpointHealth: { failureThreshold: 1 } });
+
+                await expect(retry.run(() => Promise.reject(Testing.networkError('ECONNREFUSED')), { numberOfRetries: 0, endpoints: ['https://a', 'https://b'] })).to.reject();
+                expect(await retry.run(endpointOf, { endpoints: ['https://a', 'https://b'] })).to.equal('https://b');
+            });
+
+            it('starts rate limit cooldowns for the host of the endpoint', async () => {
+
+                const clock = new Testing.FakeClock();
+                const retry = new RequestRetry({ clock });
+                const cooldowns = [];
+                retry.events.on('cooldownStart', (data) => cooldowns.push(data.key));
+
+                const fn = Testing.script([Testing.httpError(429, { headers: { 'retry-after': '1' } }), 200], { clock });
+                const settled = retry.run(fn, { endpoints: ['https://primary:8443', 'https://replica:8443'], request: { url: 'https://example.com/items' } });
+
+                await clock.runAll();
+                expect(await settled).to.include({ statusCode: 200 });
+                expect(cooldowns).to.equal(['primary:8443']);
+            });
+
+            it('rejects if endpoint options are invalid', async () => {
+
+                const retry = new RequestRetry();
+
+                const error = await expect(retry.run(() => {}, { endpoints: ['https://a'], endpointStrategy: 'nearest' })).to.reject();
+                expect(error.message).to.equal('child "endpointStrategy" fails because ["endpointStrategy" must be one of [failover, roundRobin, random]]');
+            });
+        });
+
+        describe('Retry-After header', () => {
+
+            const retryAfter = (provider) => {
+
+                it(`waits ${provider.description}`, async () => {
+
+                    let failedAttemptCount = 0;
+
+                    const clock = new Testing.FakeClock(1700000000000);
+                    const options = Object.assign({ clock, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 50 }, provider.options);
+                    const retry = new RequestRetry(options);
+                    retry.events.on('failedAttempt', () => failedAttemptCount++);
+
+                    const handler = (request, response) => {
+
+                        response.writeHead(503, { 'Retry-After': provider.retryAfter(clock.now()) });
+                        response.end();
+                    };
+
+                    const server = await internals.getServer(handler);
+
+                    const fn = async () => {
+
+                        const baseUrl = 'http://localhost:' + server.address().port;
+                        await provider.client(baseUrl);
+                    };
+
+                    const scheduled = new Promise((resolve) => retry.events.once('retryScheduled', resolve));
+                    const rejected = expect(retry.run(fn)).to.reject(Error);
+
+                    await scheduled;                    // The first call goes over the network
+                    await clock.runAll();
+                    await rejected;
+
+                    expect(failedAttemptCount).to.equal(2);
+                    expect(clock.now() - 1700000000000).to.equal(provider.wait);
+
+                    server.close();
+                });
+            };
+
+            retryAfter({
+                description: 'the number of seconds in the header (Wreck)',
+                client: (url) => Wreck.get(url),
+                retryAfter: () => '1',
+                wait: 1000
+            });
+
+            retryAfter({
+                description: 'the number of seconds in the header (Axios)',
+                client: (url) => Axios.get(url),
+                retryAfter: () => '1',
+                wait: 1000
+            });
+
+            retryAfter({
+                description: 'the number of seconds in the header (Request)',
+                client: (url) => Request(url),
+                retryAfter: () => '1',
+                wait: 1000
+            });
+
+            retryAfter({
+                description: 'until the date in the header',
+                client: (url) => Wreck.get(url),
+                retryAfter: (now) => new Date(now + 2000).toUTCString(),
+                wait: 2000
+            });
+
+            retryAfter({
+                description: 'not at all if the date in the header has passed',
+                client: (url) => Wreck.get(url),
+                retryAfter: (now) => new Date(now - 2000).toUTCString(),
+                wait: 0
+            });
+
+            retryAfter({
+                description: 'at most the maximum Retry-After',
+                options: { maxRetryAfterInMilliseconds: 100 },
+                client: (url) => Wreck.get(url),
+                retryAfter: () => '3600',
+                wait: 100
+            });
+
+            retryAfter({
+                description: 'the default time if the header is invalid',
+                client: (url) => Wreck.get(url),
+                retryAfter: () => 'soon',
+                wait: 50
+            });
+
+            retryAfter({
+                description: 'the default time if Retry-After is not honored',
+                options: { honorRetryAfter: false },
+                client: (url) => Wreck.get(url),
+                retryAfter: () => '1',
+                wait: 50
+            });
+        });
+
+        it('retries and returns data on retry event', async () => {
+
+            let failedAttemptCount = 0;
+            const timer = new Hoek.Bench();
+
+            const retry = new RequestRetry();
+            retry.events.on('failedAttempt', (data) => {
+
+                failedAttemptCount++;
+                expect(data.attemptNumber).to.equal(failedAttemptCount);
+                expect(data.retriesLeft).to.equal(3 - failedAttemptCount);
+            });
+
+            const fn = () => {
+
+                throw Boom.badImplementation();
+            };
+
+            await expect(retry.run(fn)).to.reject(Error);
+            expect(failedAttemptCount).to.equal(3);
+            expect(timer.elapsed()).to.be.between(3000, 4000);
+        });
+    });
+});
+
+describe('testing', () => {
+
+    it('runs retries without waiting', async () => {
+
+        const clock = new Testing.FakeClock();
+        const retry = new RequestRetry({ clock });
+        const requestFunc = Testing.script(['ECONNRESET', 503, 200], { clock });
+
+        const timer = new Hoek.Bench();
+        const promise = retry.run(requestFunc);
+        await clock.runAll();
+
+        const response = await promise;
+        expect(response.statusCode).to.equal(200);
+        expect(timer.elapsed()).to.be.below(1000);
+
+        Testing.assertCalls(requestFunc, 3);
+        Testing.assertDelays(requestFunc, [1000, 2000]);
+        expect(requestFunc.calls.map((call) => call.attemptNumber)).to.equal([1, 2, 3]);
     });
+
+    it('advances clock by given time', async () => {
+
+        const clock = new Testing.FakeClock(5000);
+        const retry = new RequestRetry({ clock, waitBetweenFirstRetryInMilliseconds: 100 });
+        const requestFunc = Testing.script(['ECONNRESET', 200], { clock });
+
+        const promise = retry.run(requestFunc);
+
+        await clock.tick(99);
+        Testing.assertCalls(requestFunc, 1);
+        expect(clock.now()).to.equal(5099);
+        expect(clock.pendingTimers).to.equal(1);
+
+        await clock.tick(1);
+        Testing.assertCalls(requestFunc, 2);
+        expect(clock.pendingTimers).to.equal(0);
+
+        await promise;
+        expect(requestFunc.calls.map((call) => call.at)).to.equal([5000, 5100]);
+    });
+
+    it('times out attempts with fake clock', async () => {
+
+        const clock = new Testing.FakeClock();
+        const retry = new RequestRetry({ clock, numberOfRetries: 1, waitBetweenFirstRetryInMilliseconds: 100, attemptTimeoutInMilliseconds: 5000 });
+        const requestFunc = Testing.script([() => new Promise(Hoek.ignore), () => new Promise(Hoek.ignore)], { clock });
+
+        const rejection = expect(retry.run(requestFunc)).to.reject(RequestRetry.AttemptTimeoutError);
+        await clock.runAll();
+
+        await rejection;
+        Testing.assertDelays(requestFunc, [5100]);
+    });
+
+    it('waits until Retry-After date of fake clock', async () => {
+
+        const clock = new Testing.FakeClock(Date.parse('Thu, 01 Jan 2026 00:00:00 GMT'));
+        const retry = new RequestRetry({ clock });
+        const requestFunc = Testing.script([
+            Testing.httpError(503, { headers: { 'retry-after': 'Thu, 01 Jan 2026 00:00:30 GMT' } }),
+            Testing.response(200, { headers: { 'content-type': 'text/plain' }, body: 'OK' })
+        ], { clock });
+
+        const promise = retry.run(requestFunc);
+        await clock.runAll();
+
+        expect((await promise).body).to.equal('OK');
+        Testing.assertDelays(requestFunc, [30000]);
+    });
+
+    it('pauses host until X-RateLimit-Reset timestamp of fake clock', async () => {
+
+        const clock = new Testing.FakeClock(1800000000000);
+        const retry = new RequestRetry({ clock, numberOfRetries: 0 });
+        const events = [];
+        retry.events.on('cooldownStart', (data) => events.push(data));
+
+        const limited = Testing.script([Testing.httpError(429, { headers: { 'x-ratelimit-reset': '1800000060' } })], { clock });
+        const requestFunc = Testing.script([200], { clock });
+        const request = { url: 'http://a.test/path' };
+
+        await expect(retry.run(limited, { request })).to.reject(Error, 'Response error 429');
+        expect(events).to.equal([{ key: 'a.test', cooldownInMilliseconds: 60000 }]);
+
+        const paused = retry.run(requestFunc, { request });
+        await clock.runAll();
+        await paused;
+
+        expect(requestFunc.calls[0].at).to.equal(1800000060000);
+    });
+
+    it('opens circuit until cooldown of fake clock ended', async () => {
+
+        const clock = new Testing.FakeClock();
+        const retry = new RequestRetry({ clock, numberOfRetries: 0, circuitBreaker: { failureThreshold: 1, cooldownInMilliseconds: 30000 } });
+
+        await expect(retry.run(Testing.script([503]))).to.reject(Error, 'Response error 503');
+        await expect(retry.run(Testing.script([200]))).to.reject(RequestRetry.CircuitOpenError);
+
+        await clock.tick(30000);
+        expect((await retry.run(Testing.script([200]))).statusCode).to.equal(200);
+    });
+
+    it('times out queued attempts with fake clock', async () => {
+
+        const clock = new Testing.FakeClock();
+        const retry = new RequestRetry({ clock, numberOfRetries: 0, attemptTimeoutInMilliseconds: 1000, concurrency: { maxInFlight: 1, queueTimeoutInMilliseconds: 100 } });
+
+        const slow = expect(retry.run(Testing.script([() => new Promise(Hoek.ignore)]))).to.reject(RequestRetry.AttemptTimeoutError);
+        const queued = expect(retry.run(Testing.script([200]))).to.reject(RequestRetry.QueueTimeoutError);
+
+        await clock.tick(100);
+        await queued;
+
+        await clock.tick(900);
+        await slow;
+        expect(retry.queueStats.maxWaitInMilliseconds).to.equal(0);
+    });
+
+    it('refills retry budget with fake clock', async () => {
+
+        const clock = new Testing.FakeClock();
+        const budget = new RequestRetry.RetryBudget({ clock, retryRatio: 0, minRetriesPerSecond: 1, maxTokens: 1 });
+
+        expect(budget.withdraw()).to.be.true();
+        expect(budget.withdraw()).to.be.false();
+
+        await clock.tick(1000);
+        expect(budget.balance).to.equal(1);
+    });
+
+    it('fires timers in order', async () => {
+
+        const clock = new Testing.FakeClock();
+        const fired = [];
+
+        clock.setTimeout(() => fired.push('a'), 10);
+        clock.setTimeout(() => fired.push('b'), 5);
+        clock.setTimeout(() => fired.push('c'), 10);
+        const cleared = clock.setTimeout(() => fired.push('d'), 1);
+        clock.setTimeout(() => fired.push('e'), 20);
+        clock.clearTimeout(cleared);
+
+        await clock.tick(10);
+        expect(fired).to.equal(['b', 'a', 'c']);
+        expect(clock.now()).to.equal(10);
+
+        await clock.runAll();
+        expect(fired).to.equal(['b', 'a', 'c', 'e']);
+        expect(clock.now()).to.equal(20);
+    });
+
+    it('throws if timers keep being scheduled', async () => {
+
+        const clock = new Testing.FakeClock();
+
+        const schedule = () => clock.setTimeout(schedule, 1);
+        schedule();
+
+        await expect(clock.runAll()).to.reject('Timers are still being scheduled after firing 10000');
+    });
+
+    it('runs steps of script', async () => {
+
+        const error = new Error('Boom');
+        const contexts = [];
+        const requestFunc = Testing.script([
+            Testing.networkError('ECONNREFUSED'),
+            (context) => {
+
+                contexts.push(context);
+                return error;
+            },
+            { ok: true }
+        ]);
+
+        const retry = new RequestRetry({ waitBetweenFirstRetryInMilliseconds: 1, shouldRetry: () => true });
+
+        const start = Date.now();
+        expect(await retry.run(requestFunc)).to.equal({ ok: true });
+        expect(contexts[0].previousError.code).to.equal('ECONNREFUSED');
+        expect(requestFunc.calls[0].at).to.be.within(start, Date.now());
+    });
+
+    it('rejects if script has no step left', async () => {
+
+        const retry = new RequestRetry({ numberOfRetries: 0 });
+        await expect(retry.run(Testing.script([]))).to.reject('Script has no step for call 1');
+    });
+
+    it('asserts calls', async () => {
+
+        const clock = new Testing.FakeClock();
+        const requestFunc = Testing.script([500, 200], { clock });
+
+        const promise = new RequestRetry({ clock }).run(requestFunc);
+        await clock.runAll();
+        await promise;
+
+        expect(() => Testing.assertCalls(requestFunc, 3)).to.throw('Expected 3 calls but got 2');
+        expect(() => Testing.assertDelays(requestFunc, [2000])).to.throw('Expected delays [2000] but got [1000]');
+    });
+});
+
+internals.getServer = function (handler) {
+
+    const server = Http.createServer(handler);
+
+    return new Promise((resolve) => {
+
+        server.listen(0, () => resolve(server));
+    });
+};
+
+internals.makeRequest = function (options) {
+
+    const reqOptions = {
+        port: options.port,
+        hostname: options.hostname
+    };
+
+    return new Promise((resolve, reject) => {
+
+        const request = Http.request(reqOptions);
+        request.on('error', (err) => reject(err));
+        request.once('response', resolve);
+        request.end();
+    });
+};
+
+
+internals.abortController = function () {
+
+    const emitter = new Events.EventEmitter();
+
+    const signal = {
+        aborted: false,
+        addEventListener: (event, listener) => emitter.on(event, listener),
+        removeEventListener: (event, listener) => emitter.removeListener(event, listener)
+    };
+
+    const abort = (reason) => {
+
+        signal.aborted = true;
+        signal.reason = reason;
+        emitter.emit('abort');
+    };
+
+    return { signal, abort };
+};
+
+
+internals.fetchResponse = function (status, headers = {}) {
+
+    const fetchHeaders = {
+        get: (name) => headers[Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase())],
+        forEach: (callback) => Object.keys(headers).forEach((key) => callback(headers[key], key))
+    };
+
+    return { status, ok: status < 300, headers: fetchHeaders };
+};
+
+
+internals.wait = function (clock, timeout) {
+
+    return new Promise((resolve) => clock.setTimeout(resolve, timeout));
+};
+
+
+internals.recordEvents = function (retry) {
+
+    const events = [];
+
+    for (const name of ['attemptStart', 'attemptSuccess', 'failedAttempt', 'retryScheduled', 'giveUp', 'success']) {
+        retry.events.on(name, (data) => events.push({ name, data }));
+    }
+
+    return events;
+};
+
+
+internals.telemetry = function () {
+
+    const exporter = new OpenTelemetry.InMemorySpanExporter();
+    const tracerProvider = new OpenTelemetry.BasicTracerProvider();
+    tracerProvider.addSpanProcessor(new OpenTelemetry.SimpleSpanProcessor(exporter));
+
+    const measurements = [];
+    const instrument = (name) => {
+
+        const record = (value, attributes) => measurements.push({ name, value, attributes });
+        return { add: record, record };
+    };
+
+    const meterProvider = {
+        getMeter: () => ({ createCounter: instrument, createHistogram: instrument })
+    };
+
+    return { options: { tracerProvider, meterProvider }, exporter, tracerProvider, measurements };
 };